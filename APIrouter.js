@@ -1,24 +1,32 @@
 // routes/index.js
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-
-const dbManager = require('../database');
-const { authenticateToken, rateLimit, sanitizeInput, formatResponse } = require('../middleware/auth');
+const crypto = require('crypto');
+
+const config = require('../config');
+const mailer = require('../services/mailer');
+const { hashPassword, verifyPassword, needsRehash, validatePassword, getLockoutDuration } = require('../utils/credentials');
+const totp = require('../utils/totp');
+const attendanceQr = require('../utils/attendanceQr');
+const { authenticateToken, authenticateStudent, authenticateStudentOrToken, isSessionIdle, authorizeRole, rateLimit, validateRequest, deprecated, sanitizeInput, refreshData, formatResponse } = require('../middleware/auth');
+const { getScope, filterByScope, enforceScope, canManageDC, logDenial } = require('../middleware/policy');
+const { schemas, ATTENDANCE_METHODS } = require('./schemas');
+const { buildOpenApiDocument } = require('./openapi');
 
 const router = express.Router();
 
 // Apply middleware to all routes
 router.use(formatResponse);
 router.use(sanitizeInput);
+router.use(refreshData);
 
 // File upload configuration
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'uploads/');
+        cb(null, config.uploads.path);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -28,33 +36,219 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
     storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 },
+    limits: { fileSize: config.uploads.maxFileSize },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
+        const { allowedFileTypes } = config.uploads;
+        const extname = allowedFileTypes.includes(path.extname(file.originalname).toLowerCase().slice(1));
+        const mimetype = allowedFileTypes.includes(file.mimetype.split('/')[1]);
         
         if (mimetype && extname) {
             return cb(null, true);
         } else {
-            cb(new Error('Only image files (JPEG, JPG, PNG, GIF) are allowed'));
+            const error = new Error(`Only ${allowedFileTypes.join(', ').toUpperCase()} files are allowed`);
+            error.code = 'INVALID_FILE_TYPE';
+            cb(error);
         }
     }
 });
 
+// Token configuration
+const ACCESS_TOKEN_EXPIRES_IN = config.auth.accessTokenExpiresIn;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+
+const CHALLENGE_TOKEN_EXPIRES_IN = '10m';
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = config.auth.passwordResetTtlMinutes;
+const APP_URL = config.appUrl;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a one-time email verification token; only its hash is stored on the DC record
+const createEmailVerification = async (dbManager, dc) => {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    dbManager.updateDC(dc.id, {
+        emailVerificationTokenHash: hashToken(verificationToken),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    await mailer.sendMail({
+        to: dc.email,
+        subject: 'Verify your email address',
+        text: `Hello ${dc.name},\n\n` +
+            `Please verify your email address by opening the link below:\n` +
+            `${APP_URL}/verify-email?token=${verificationToken}\n\n` +
+            `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+};
+
+// Create a one-time password reset token, stored hashed on the DC record like the verification token
+const createPasswordReset = async (dbManager, dc) => {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    dbManager.updateDC(dc.id, {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    await mailer.sendMail({
+        to: dc.email,
+        subject: 'Reset your password',
+        text: `Hello ${dc.name},\n\n` +
+            `A password reset was requested for your account. Open the link below to choose a new password:\n` +
+            `${APP_URL}/reset-password?token=${resetToken}\n\n` +
+            `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. ` +
+            `If you did not request a reset, you can ignore this email.`
+    });
+};
+
+// Issue a short-lived access token and a rotating refresh token for a login session.
+// The session id is carried in the JWT and is the family id of the session's refresh tokens.
+const issueTokens = (dbManager, dc, sessionId) => {
+    const token = jwt.sign(
+        { id: dc.id, email: dc.email, employeeId: dc.employeeId, sid: sessionId },
+        config.auth.jwtSecret,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const refreshRecord = dbManager.createRefreshToken({
+        tokenHash: hashToken(refreshToken),
+        dcId: dc.id,
+        familyId: sessionId,
+        expiresAt
+    });
+    dbManager.touchSession(sessionId, { expiresAt });
+
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN, refreshTokenId: refreshRecord.id };
+};
+
+// Short description of the client for the session list, e.g. "Chrome on Android"
+const describeDevice = (userAgent = '') => {
+    const browsers = [['Edge', /edg\//i], ['Chrome', /chrome\//i], ['Firefox', /firefox\//i], ['Safari', /safari\//i]];
+    const platforms = [['Android', /android/i], ['iPhone', /iphone/i], ['iPad', /ipad/i],
+        ['Windows', /windows/i], ['macOS', /mac os x/i], ['Linux', /linux/i]];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !platform) {
+        return 'Unknown device';
+    }
+    return [browser && browser[0], platform && `on ${platform[0]}`].filter(Boolean).join(' ');
+};
+
+// Start a session and build the login payload (shared by password login and the second-factor step)
+// Completes a login: only here is the lockout counter cleared, so logging in with the
+// password again between wrong 2FA codes does not reset it
+const buildLoginResponse = (dc, req) => {
+    req.dbManager.updateDC(dc.id, { failedLoginAttempts: 0, lockedUntil: null, lastLoginAt: new Date() });
+
+    const userAgent = req.headers['user-agent'] || '';
+    const session = req.dbManager.createSession({
+        dcId: dc.id,
+        device: req.body.deviceName || describeDevice(userAgent),
+        ip: req.ip,
+        userAgent
+    });
+
+    const { token, refreshToken, expiresIn } = issueTokens(req.dbManager, dc, session.id);
+    return {
+        token,
+        refreshToken,
+        expiresIn,
+        sessionId: session.id,
+        dc: {
+            id: dc.id,
+            name: dc.name,
+            email: dc.email,
+            employeeId: dc.employeeId,
+            contact: dc.contact,
+            hostelType: dc.hostelType,
+            specificHostel: dc.specificHostel,
+            floor: dc.floor,
+            profilePic: dc.profilePic
+        }
+    };
+};
+
+// Count a failed password or 2FA attempt toward the account lockout. Returns the lock duration in ms.
+const recordFailedAttempt = (dbManager, dc, auditEntry, reason) => {
+    const failedLoginAttempts = (dc.failedLoginAttempts || 0) + 1;
+    const lockoutDuration = getLockoutDuration(failedLoginAttempts);
+    dbManager.updateDC(dc.id, {
+        failedLoginAttempts,
+        lastFailedLoginAt: new Date(),
+        lockedUntil: lockoutDuration ? new Date(Date.now() + lockoutDuration) : null
+    });
+    dbManager.recordFailedLogin({ ...auditEntry, dcId: dc.id, reason, failedLoginAttempts });
+    return lockoutDuration;
+};
+
+// Challenge tokens prove the password step passed. They carry no jti, so
+// authenticateToken never accepts them as access tokens.
+const createChallengeToken = (dc, purpose) => {
+    return jwt.sign(
+        { id: dc.id, purpose },
+        config.auth.jwtSecret,
+        { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+    );
+};
+
+const verifyChallengeToken = (dbManager, challengeToken, purpose) => {
+    try {
+        const payload = jwt.verify(challengeToken, config.auth.jwtSecret);
+        return payload.purpose === purpose ? dbManager.getDCById(payload.id) || null : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Check a TOTP code or an unused recovery code. Returns the method used, or null.
+const verifySecondFactor = (dbManager, dc, { code, recoveryCode }) => {
+    const twoFactor = dc.twoFactor || {};
+
+    if (code) {
+        const step = totp.verifyCode(totp.decryptSecret(twoFactor.secret), code, twoFactor.lastUsedStep);
+        if (step === null) {
+            return null;
+        }
+        dbManager.updateDC(dc.id, { twoFactor: { ...twoFactor, lastUsedStep: step } });
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+        const match = (twoFactor.recoveryCodes || []).find(c => c.hash === codeHash && !c.usedAt);
+        if (!match) {
+            return null;
+        }
+        const recoveryCodes = twoFactor.recoveryCodes.map(c =>
+            c.hash === codeHash ? { ...c, usedAt: new Date() } : c
+        );
+        dbManager.updateDC(dc.id, { twoFactor: { ...twoFactor, recoveryCodes } });
+        return 'recovery_code';
+    }
+
+    return null;
+};
+
+// Generate fresh recovery codes: plaintext for the user, hashes for storage
+const createRecoveryCodes = () => {
+    const codes = totp.generateRecoveryCodes();
+    return {
+        codes,
+        stored: codes.map(code => ({ hash: hashToken(code), usedAt: null }))
+    };
+};
+
 // ===== AUTHENTICATION ROUTES =====
 
 // User Registration
-router.post('/auth/register', rateLimit(15 * 60 * 1000, 10), async (req, res) => {
+router.post('/auth/register', rateLimit(15 * 60 * 1000, 10), validateRequest(schemas.register), async (req, res) => {
     try {
-        const { name, email, password, employeeId, contact, hostelType, specificHostel, floor } = req.body;
-        
-        if (!name || !email || !password || !employeeId) {
-            return res.apiError('Name, email, password, and employee ID are required', 400);
-        }
+        const { name, email, password, employeeId, contact } = req.body;
 
         // Check if DC already exists
-        const existingDC = dbManager.database.dcs.find(dc => 
+        const existingDC = req.dbManager.database.dcs.find(dc => 
             dc.email === email || dc.employeeId === employeeId
         );
         
@@ -62,43 +256,49 @@ router.post('/auth/register', rateLimit(15 * 60 * 1000, 10), async (req, res) =>
             return res.apiError('DC with this email or employee ID already exists', 409);
         }
 
+        const passwordErrors = validatePassword(password, { email, name });
+        if (passwordErrors.length > 0) {
+            return res.apiError('Password does not meet requirements', 400, passwordErrors);
+        }
+
         // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const hashedPassword = await hashPassword(password);
         
         // Create new DC
-        const newDC = dbManager.createDC({
+        const newDC = req.dbManager.createDC({
             name,
             email,
             employeeId,
             contact: contact || '',
             password: hashedPassword,
-            hostelType: hostelType || '',
-            specificHostel: specificHostel || '',
-            floor: floor || '',
+            // Hostel assignment is made by a warden or admin, never self-selected
+            hostelType: '',
+            specificHostel: '',
+            floor: '',
             assignedDC: '',
             profilePic: null,
             role: 'dc',
-            isActive: true
+            isActive: true,
+            approvalStatus: 'pending',
+            emailVerified: false
         });
 
-        // Generate token
-        const token = jwt.sign(
-            { id: newDC.id, email: newDC.email, employeeId: newDC.employeeId },
-            process.env.JWT_SECRET || 'dc_management_secret_key',
-            { expiresIn: '24h' }
-        );
+        await createEmailVerification(req.dbManager, newDC).catch(error => {
+            console.error('Verification email error:', error);
+        });
 
+        // No tokens until the email is verified and a warden or admin approves the account
         res.apiSuccess({
-            token,
             dc: {
                 id: newDC.id,
                 name: newDC.name,
                 email: newDC.email,
                 employeeId: newDC.employeeId,
                 contact: newDC.contact,
-                hostelType: newDC.hostelType
+                approvalStatus: newDC.approvalStatus,
+                emailVerified: newDC.emailVerified
             }
-        }, 'Registration successful', 201);
+        }, 'Registration successful. Please verify your email and wait for approval', 201);
 
     } catch (error) {
         console.error('Registration error:', error);
@@ -107,52 +307,74 @@ router.post('/auth/register', rateLimit(15 * 60 * 1000, 10), async (req, res) =>
 });
 
 // User Login
-router.post('/auth/login', rateLimit(15 * 60 * 1000, 20), async (req, res) => {
+router.post('/auth/login', rateLimit(15 * 60 * 1000, 20), validateRequest(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
-        
-        if (!email || !password) {
-            return res.apiError('Email and password are required', 400);
-        }
+
+        const auditEntry = { email, ip: req.ip, userAgent: req.headers['user-agent'] };
 
         // Find DC by email
-        const dc = dbManager.database.dcs.find(dc => dc.email === email);
+        const dc = req.dbManager.database.dcs.find(dc => dc.email === email);
         if (!dc) {
+            req.dbManager.recordFailedLogin({ ...auditEntry, dcId: null, reason: 'unknown_account' });
             return res.apiError('Invalid credentials', 401);
         }
 
+        // Refuse locked accounts before checking the password so guessing cannot continue
+        if (dc.lockedUntil && new Date(dc.lockedUntil) > new Date()) {
+            req.dbManager.recordFailedLogin({ ...auditEntry, dcId: dc.id, reason: 'account_locked' });
+            const retryAfter = Math.ceil((new Date(dc.lockedUntil) - Date.now()) / 1000);
+            return res.apiError('Account is temporarily locked due to failed login attempts', 423, { retryAfter });
+        }
+
         // Verify password
-        const validPassword = await bcrypt.compare(password, dc.password);
+        const validPassword = await verifyPassword(password, dc.password);
         if (!validPassword) {
+            const lockoutDuration = recordFailedAttempt(req.dbManager, dc, auditEntry, 'invalid_password');
+            if (lockoutDuration) {
+                return res.apiError('Account is temporarily locked due to failed login attempts', 423, {
+                    retryAfter: Math.ceil(lockoutDuration / 1000)
+                });
+            }
             return res.apiError('Invalid credentials', 401);
         }
 
+        // Correct password: upgrade the hash if BCRYPT_ROUNDS changed. The failure counter
+        // stays until the login completes (see buildLoginResponse).
+        if (needsRehash(dc.password)) {
+            req.dbManager.updateDC(dc.id, { password: await hashPassword(password) });
+        }
+
         // Check if account is active
         if (!dc.isActive) {
             return res.apiError('Account is deactivated. Please contact administrator', 403);
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { id: dc.id, email: dc.email, employeeId: dc.employeeId },
-            process.env.JWT_SECRET || 'dc_management_secret_key',
-            { expiresIn: '24h' }
-        );
+        // Accounts created before approval existed have no status and are treated as approved
+        if (dc.emailVerified === false) {
+            return res.apiError('Please verify your email address before logging in', 403);
+        }
 
-        res.apiSuccess({
-            token,
-            dc: {
-                id: dc.id,
-                name: dc.name,
-                email: dc.email,
-                employeeId: dc.employeeId,
-                contact: dc.contact,
-                hostelType: dc.hostelType,
-                specificHostel: dc.specificHostel,
-                floor: dc.floor,
-                profilePic: dc.profilePic
-            }
-        }, 'Login successful');
+        if (dc.approvalStatus === 'pending') {
+            return res.apiError('Account is pending approval by a warden or administrator', 403);
+        }
+
+        if (dc.approvalStatus === 'rejected') {
+            return res.apiError('Registration was rejected. Please contact administrator', 403);
+        }
+
+        // With 2FA enabled (or required by the hostel) hand out a challenge instead of tokens
+        const twoFactorEnabled = Boolean(dc.twoFactor && dc.twoFactor.enabled);
+        if (twoFactorEnabled || req.dbManager.isTwoFactorRequired(dc)) {
+            return res.apiSuccess({
+                twoFactorRequired: twoFactorEnabled,
+                twoFactorSetupRequired: !twoFactorEnabled,
+                challengeToken: createChallengeToken(dc, twoFactorEnabled ? '2fa_login' : '2fa_enroll'),
+                expiresIn: CHALLENGE_TOKEN_EXPIRES_IN
+            }, twoFactorEnabled ? 'Two-factor authentication code required' : 'Two-factor authentication setup required');
+        }
+
+        res.apiSuccess(buildLoginResponse(dc, req), 'Login successful');
 
     } catch (error) {
         console.error('Login error:', error);
@@ -160,139 +382,1132 @@ router.post('/auth/login', rateLimit(15 * 60 * 1000, 20), async (req, res) => {
     }
 });
 
-// Logout (client-side token removal, but we can track it)
-router.post('/auth/logout', authenticateToken, (req, res) => {
-    res.apiSuccess(null, 'Logout successful');
-});
+// Complete Login with Two-Factor Code
+router.post('/auth/login/2fa', rateLimit(15 * 60 * 1000, 20), validateRequest(schemas.loginTwoFactor), (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
 
-// ===== PROFILE MANAGEMENT ROUTES =====
+        if (!code && !recoveryCode) {
+            return res.apiError('An authentication or recovery code is required', 400);
+        }
 
-// Get DC Profile
-router.get('/dc/profile', authenticateToken, (req, res) => {
+        const dc = verifyChallengeToken(req.dbManager, challengeToken, '2fa_login');
+        if (!dc || !dc.isActive || !(dc.twoFactor && dc.twoFactor.enabled)) {
+            return res.apiError('Invalid or expired challenge token', 401);
+        }
+
+        const auditEntry = { email: dc.email, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+        if (dc.lockedUntil && new Date(dc.lockedUntil) > new Date()) {
+            req.dbManager.recordFailedLogin({ ...auditEntry, dcId: dc.id, reason: 'account_locked' });
+            const retryAfter = Math.ceil((new Date(dc.lockedUntil) - Date.now()) / 1000);
+            return res.apiError('Account is temporarily locked due to failed login attempts', 423, { retryAfter });
+        }
+
+        const method = verifySecondFactor(req.dbManager, dc, { code, recoveryCode });
+        if (!method) {
+            const lockoutDuration = recordFailedAttempt(req.dbManager, dc, auditEntry, 'invalid_2fa_code');
+            if (lockoutDuration) {
+                return res.apiError('Account is temporarily locked due to failed login attempts', 423, {
+                    retryAfter: Math.ceil(lockoutDuration / 1000)
+                });
+            }
+            return res.apiError('Invalid authentication code', 401);
+        }
+
+        const response = buildLoginResponse(dc, req);
+
+        if (method === 'recovery_code') {
+            response.recoveryCodesRemaining = req.dbManager.getDCById(dc.id).twoFactor.recoveryCodes.filter(c => !c.usedAt).length;
+        }
+
+        res.apiSuccess(response, 'Login successful');
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.apiError('Login failed', 500);
+    }
+});
+
+// Verify Email Address
+router.post('/auth/verify-email', rateLimit(15 * 60 * 1000, 20), validateRequest(schemas.verifyEmail), (req, res) => {
     try {
-        const dc = req.dcData;
+        const { token } = req.body;
+
+        const tokenHash = hashToken(token);
+        const dc = req.dbManager.database.dcs.find(dc => dc.emailVerificationTokenHash === tokenHash);
+        if (!dc || new Date(dc.emailVerificationExpiresAt) <= new Date()) {
+            return res.apiError('Invalid or expired verification token', 400);
+        }
+
+        req.dbManager.updateDC(dc.id, {
+            emailVerified: true,
+            emailVerificationTokenHash: null,
+            emailVerificationExpiresAt: null
+        });
+
         res.apiSuccess({
-            id: dc.id,
-            name: dc.name,
-            employeeId: dc.employeeId,
             email: dc.email,
-            contact: dc.contact,
-            hostelType: dc.hostelType,
-            specificHostel: dc.specificHostel,
-            floor: dc.floor,
-            assignedDC: dc.assignedDC,
-            profilePic: dc.profilePic ? `/uploads/${dc.profilePic}` : null,
-            createdAt: dc.createdAt,
-            updatedAt: dc.updatedAt
+            approvalStatus: dc.approvalStatus
+        }, 'Email verified successfully');
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.apiError('Email verification failed', 500);
+    }
+});
+
+// Resend Verification Email
+router.post('/auth/resend-verification', rateLimit(15 * 60 * 1000, 5), validateRequest(schemas.resendVerification), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Same response whether or not the address is registered
+        const dc = req.dbManager.database.dcs.find(dc => dc.email === email);
+        if (dc && dc.emailVerified === false) {
+            await createEmailVerification(req.dbManager, dc);
+        }
+
+        res.apiSuccess(null, 'If the account exists and is unverified, a new verification email has been sent');
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.apiError('Failed to resend verification email', 500);
+    }
+});
+
+// Request Password Reset
+router.post('/auth/forgot-password', rateLimit(15 * 60 * 1000, 5), validateRequest(schemas.forgotPassword), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Same response whether or not the address is registered
+        const dc = req.dbManager.database.dcs.find(dc => dc.email === email);
+        if (dc && dc.isActive) {
+            await createPasswordReset(req.dbManager, dc);
+        }
+
+        res.apiSuccess(null, 'If the account exists, a password reset email has been sent');
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.apiError('Failed to send password reset email', 500);
+    }
+});
+
+// Reset Password with Token
+router.post('/auth/reset-password', rateLimit(15 * 60 * 1000, 10), validateRequest(schemas.resetPassword), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const tokenHash = hashToken(token);
+        const dc = req.dbManager.database.dcs.find(dc => dc.passwordResetTokenHash === tokenHash);
+        if (!dc || new Date(dc.passwordResetExpiresAt) <= new Date()) {
+            return res.apiError('Invalid or expired reset token', 400);
+        }
+
+        const passwordErrors = validatePassword(newPassword, dc);
+        if (passwordErrors.length > 0) {
+            return res.apiError('Password does not meet requirements', 400, passwordErrors);
+        }
+
+        const hashedPassword = await hashPassword(newPassword);
+        req.dbManager.updateDC(dc.id, {
+            password: hashedPassword,
+            passwordResetTokenHash: null,
+            passwordResetExpiresAt: null,
+            passwordChangedAt: new Date()
         });
+
+        // Whoever had the old password should not stay logged in
+        req.dbManager.revokeAllSessionsForDC(dc.id, 'password_reset');
+
+        res.apiSuccess(null, 'Password reset successfully. Please log in with your new password');
+
     } catch (error) {
-        console.error('Get profile error:', error);
-        res.apiError('Failed to fetch profile', 500);
+        console.error('Reset password error:', error);
+        res.apiError('Password reset failed', 500);
     }
 });
 
-// Update DC Profile
-router.put('/dc/profile', authenticateToken, (req, res) => {
+// Change Password (authenticated)
+router.put('/auth/change-password', authenticateToken, validateRequest(schemas.changePassword), async (req, res) => {
     try {
-        const { name, contact, hostelType, specificHostel, floor, assignedDC } = req.body;
-        
-        const updatedDC = dbManager.updateDC(req.user.id, {
-            name: name || req.dcData.name,
-            contact: contact || req.dcData.contact,
-            hostelType: hostelType || req.dcData.hostelType,
-            specificHostel: specificHostel || req.dcData.specificHostel,
-            floor: floor || req.dcData.floor,
-            assignedDC: assignedDC || req.dcData.assignedDC
+        const { currentPassword, newPassword } = req.body;
+
+        const validPassword = await verifyPassword(currentPassword, req.dcData.password);
+        if (!validPassword) {
+            return res.apiError('Current password is incorrect', 401);
+        }
+
+        if (currentPassword === newPassword) {
+            return res.apiError('New password must be different from the current password', 400);
+        }
+
+        const passwordErrors = validatePassword(newPassword, req.dcData);
+        if (passwordErrors.length > 0) {
+            return res.apiError('Password does not meet requirements', 400, passwordErrors);
+        }
+
+        const hashedPassword = await hashPassword(newPassword);
+        req.dbManager.updateDC(req.user.id, {
+            password: hashedPassword,
+            passwordResetTokenHash: null,
+            passwordResetExpiresAt: null,
+            passwordChangedAt: new Date()
+        });
+
+        // Sign out every other login, keep this one
+        req.dbManager.revokeAllSessionsForDC(req.user.id, 'password_changed', req.user.sid);
+
+        res.apiSuccess(null, 'Password changed successfully');
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.apiError('Failed to change password', 500);
+    }
+});
+
+// ===== TWO-FACTOR AUTHENTICATION ROUTES =====
+
+// Accept either a normal access token or the enrollment challenge issued when a hostel requires 2FA
+const authenticateOrEnroll = (req, res, next) => {
+    if (!req.body || !req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const dc = verifyChallengeToken(req.dbManager, req.body.challengeToken, '2fa_enroll');
+    if (!dc || !dc.isActive) {
+        return res.apiError('Invalid or expired challenge token', 401);
+    }
+
+    req.user = { id: dc.id, enrollment: true };
+    req.dcData = dc;
+    next();
+};
+// Documented as token authentication with the challenge token as an alternative (see ./openapi)
+authenticateOrEnroll.allowsChallengeToken = true;
+
+// Start 2FA Setup
+router.post('/auth/2fa/setup', authenticateOrEnroll, validateRequest(schemas.twoFactorSetup), (req, res) => {
+    try {
+        const dc = req.dcData;
+        if (dc.twoFactor && dc.twoFactor.enabled) {
+            return res.apiError('Two-factor authentication is already enabled', 409);
+        }
+
+        const secret = totp.generateSecret();
+        req.dbManager.updateDC(dc.id, {
+            twoFactor: { ...(dc.twoFactor || {}), enabled: false, pendingSecret: totp.encryptSecret(secret) }
+        });
+
+        res.apiSuccess({
+            secret,
+            otpauthUri: totp.provisioningUri(secret, dc.email)
+        }, 'Scan the code with your authenticator app, then confirm with a code');
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.apiError('Failed to start two-factor setup', 500);
+    }
+});
+
+// Confirm 2FA Setup
+router.post('/auth/2fa/enable', authenticateOrEnroll, validateRequest(schemas.twoFactorEnable), (req, res) => {
+    try {
+        const { code } = req.body;
+        const dc = req.dcData;
+        const twoFactor = dc.twoFactor || {};
+
+        if (twoFactor.enabled) {
+            return res.apiError('Two-factor authentication is already enabled', 409);
+        }
+
+        if (!twoFactor.pendingSecret) {
+            return res.apiError('Two-factor setup has not been started', 400);
+        }
+
+        const step = totp.verifyCode(totp.decryptSecret(twoFactor.pendingSecret), code);
+        if (step === null) {
+            return res.apiError('Invalid authentication code', 400);
+        }
+
+        const recoveryCodes = createRecoveryCodes();
+        const updatedDC = req.dbManager.updateDC(dc.id, {
+            twoFactor: {
+                enabled: true,
+                secret: twoFactor.pendingSecret,
+                pendingSecret: null,
+                lastUsedStep: step,
+                recoveryCodes: recoveryCodes.stored,
+                enabledAt: new Date()
+            }
         });
 
-        if (!updatedDC) {
-            return res.apiError('Failed to update profile', 404);
-        }
+        // Finishing a required enrollment also completes the login
+        res.apiSuccess({
+            recoveryCodes: recoveryCodes.codes,
+            ...(req.user.enrollment && buildLoginResponse(updatedDC, req))
+        }, 'Two-factor authentication enabled. Store the recovery codes somewhere safe');
+
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.apiError('Failed to enable two-factor authentication', 500);
+    }
+});
+
+// Disable 2FA
+router.post('/auth/2fa/disable', authenticateToken, validateRequest(schemas.twoFactorDisable), async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const dc = req.dcData;
+
+        if (!code && !recoveryCode) {
+            return res.apiError('An authentication or recovery code is required', 400);
+        }
+
+        if (!(dc.twoFactor && dc.twoFactor.enabled)) {
+            return res.apiError('Two-factor authentication is not enabled', 400);
+        }
+
+        if (req.dbManager.isTwoFactorRequired(dc)) {
+            return res.apiError('Two-factor authentication is required for your hostel', 403);
+        }
+
+        const validPassword = await verifyPassword(password, dc.password);
+        if (!validPassword || !verifySecondFactor(req.dbManager, dc, { code, recoveryCode })) {
+            return res.apiError('Invalid password or authentication code', 401);
+        }
+
+        req.dbManager.updateDC(dc.id, { twoFactor: { enabled: false } });
+
+        res.apiSuccess(null, 'Two-factor authentication disabled');
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.apiError('Failed to disable two-factor authentication', 500);
+    }
+});
+
+// Regenerate Recovery Codes
+router.post('/auth/2fa/recovery-codes', authenticateToken, validateRequest(schemas.recoveryCodes), (req, res) => {
+    try {
+        const { code } = req.body;
+        const dc = req.dcData;
+
+        if (!(dc.twoFactor && dc.twoFactor.enabled)) {
+            return res.apiError('Two-factor authentication is not enabled', 400);
+        }
+
+        if (!verifySecondFactor(req.dbManager, dc, { code })) {
+            return res.apiError('Invalid authentication code', 401);
+        }
+
+        const recoveryCodes = createRecoveryCodes();
+        const current = req.dbManager.getDCById(dc.id);
+        req.dbManager.updateDC(dc.id, { twoFactor: { ...current.twoFactor, recoveryCodes: recoveryCodes.stored } });
+
+        res.apiSuccess({ recoveryCodes: recoveryCodes.codes }, 'Recovery codes regenerated');
+
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.apiError('Failed to regenerate recovery codes', 500);
+    }
+});
+
+// Refresh Access Token
+router.post('/auth/refresh', rateLimit(15 * 60 * 1000, 60), validateRequest(schemas.refreshToken), (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const stored = req.dbManager.findRefreshToken(hashToken(refreshToken));
+        if (!stored) {
+            return res.apiError('Invalid refresh token', 401);
+        }
+
+        const session = req.dbManager.getSession(stored.familyId);
+        if (stored.revokedAt || !session || session.revokedAt) {
+            return res.apiError('Refresh token has been revoked', 401);
+        }
+
+        if (isSessionIdle(session)) {
+            req.dbManager.revokeSession(session.id, 'idle_timeout');
+            return res.apiError('Session expired after inactivity. Please log in again', 401);
+        }
+
+        // A rotated token being presented again means it was leaked: kill the whole family
+        if (stored.rotatedAt) {
+            req.dbManager.revokeSession(session.id, 'reuse_detected');
+            console.warn('Refresh token reuse detected:', { dcId: stored.dcId, sessionId: session.id });
+            return res.apiError('Refresh token reuse detected. Please log in again', 401);
+        }
+
+        if (new Date(stored.expiresAt) <= new Date()) {
+            return res.apiError('Refresh token has expired', 401);
+        }
+
+        const dc = req.dbManager.getDCById(stored.dcId);
+        if (!dc || !dc.isActive) {
+            req.dbManager.revokeSession(session.id, 'account_unavailable');
+            return res.apiError('Account is not available', 401);
+        }
+
+        // A hostel that starts requiring 2FA forces existing sessions through enrollment
+        if (req.dbManager.isTwoFactorRequired(dc) && !(dc.twoFactor && dc.twoFactor.enabled)) {
+            req.dbManager.revokeSession(session.id, 'two_factor_required');
+            return res.apiError('Two-factor authentication setup required. Please log in again', 401);
+        }
+
+        const tokens = issueTokens(req.dbManager, dc, session.id);
+        req.dbManager.markRefreshTokenRotated(stored.id, tokens.refreshTokenId);
+        req.dbManager.touchSession(session.id, { ip: req.ip });
+
+        res.apiSuccess({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        }, 'Token refreshed successfully');
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.apiError('Token refresh failed', 500);
+    }
+});
+
+// Logout (ends this session: the access token and every refresh token from this login)
+router.post('/auth/logout', authenticateToken, validateRequest(schemas.logout), (req, res) => {
+    try {
+        req.dbManager.revokeAccessToken(req.user.jti, new Date(req.user.exp * 1000));
+        req.dbManager.revokeSession(req.user.sid, 'logout');
+
+        res.apiSuccess(null, 'Logout successful');
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.apiError('Logout failed', 500);
+    }
+});
+
+// ===== SESSION MANAGEMENT ROUTES =====
+
+const serializeSession = (session, currentSessionId) => ({
+    id: session.id,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+});
+
+// List Active Sessions
+router.get('/auth/sessions', authenticateToken, validateRequest(schemas.listSessions), (req, res) => {
+    try {
+        const sessions = req.dbManager.getActiveSessionsForDC(req.user.id)
+            .map(session => serializeSession(session, req.user.sid));
+
+        res.apiSuccess(sessions, 'Sessions retrieved successfully');
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.apiError('Failed to fetch sessions', 500);
+    }
+});
+
+// Revoke One Session
+router.delete('/auth/sessions/:sessionId', authenticateToken, validateRequest(schemas.revokeSession), (req, res) => {
+    try {
+        const session = req.dbManager.getSession(req.params.sessionId);
+
+        if (!session || session.dcId !== req.user.id || session.revokedAt) {
+            return res.apiError('Session not found', 404);
+        }
+
+        req.dbManager.revokeSession(session.id, 'revoked_by_user');
+        if (session.id === req.user.sid) {
+            req.dbManager.revokeAccessToken(req.user.jti, new Date(req.user.exp * 1000));
+        }
+
+        res.apiSuccess(null, 'Session revoked successfully');
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.apiError('Failed to revoke session', 500);
+    }
+});
+
+// Revoke All Other Sessions (pass ?includeCurrent=true to sign out everywhere)
+router.delete('/auth/sessions', authenticateToken, validateRequest(schemas.revokeSessions), (req, res) => {
+    try {
+        const includeCurrent = req.query.includeCurrent === true;
+        const revoked = req.dbManager.revokeAllSessionsForDC(
+            req.user.id,
+            'revoked_by_user',
+            includeCurrent ? null : req.user.sid
+        );
+
+        if (includeCurrent) {
+            req.dbManager.revokeAccessToken(req.user.jti, new Date(req.user.exp * 1000));
+        }
+
+        res.apiSuccess({ revoked }, 'Sessions revoked successfully');
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.apiError('Failed to revoke sessions', 500);
+    }
+});
+
+// ===== PROFILE MANAGEMENT ROUTES =====
+
+// Get DC Profile
+router.get('/dc/profile', authenticateToken, validateRequest(schemas.getProfile), (req, res) => {
+    try {
+        const dc = req.dcData;
+        res.apiSuccess({
+            id: dc.id,
+            name: dc.name,
+            employeeId: dc.employeeId,
+            email: dc.email,
+            contact: dc.contact,
+            hostelType: dc.hostelType,
+            specificHostel: dc.specificHostel,
+            floor: dc.floor,
+            assignedDC: dc.assignedDC,
+            profilePic: dc.profilePic ? `/uploads/${dc.profilePic}` : null,
+            twoFactorEnabled: Boolean(dc.twoFactor && dc.twoFactor.enabled),
+            twoFactorRequired: req.dbManager.isTwoFactorRequired(dc),
+            createdAt: dc.createdAt,
+            updatedAt: dc.updatedAt
+        });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.apiError('Failed to fetch profile', 500);
+    }
+});
+
+// Update DC Profile
+router.put('/dc/profile', authenticateToken, validateRequest(schemas.updateProfile), (req, res) => {
+    try {
+        const { name, contact } = req.body;
+
+        // Clients may echo the assignment back unchanged, but cannot change it here
+        const assignmentFields = ['hostelType', 'specificHostel', 'floor', 'assignedDC'];
+        const changedAssignment = assignmentFields.filter(field =>
+            req.body[field] !== undefined && req.body[field] !== req.dcData[field]
+        );
+        if (changedAssignment.length > 0) {
+            return res.apiError('Hostel assignment can only be changed by a warden or administrator', 403);
+        }
+        
+        const updatedDC = req.dbManager.updateDC(req.user.id, {
+            name: name || req.dcData.name,
+            contact: contact || req.dcData.contact
+        });
+
+        if (!updatedDC) {
+            return res.apiError('Failed to update profile', 404);
+        }
+
+        res.apiSuccess({
+            id: updatedDC.id,
+            name: updatedDC.name,
+            contact: updatedDC.contact,
+            hostelType: updatedDC.hostelType,
+            specificHostel: updatedDC.specificHostel,
+            floor: updatedDC.floor,
+            assignedDC: updatedDC.assignedDC
+        }, 'Profile updated successfully');
+
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.apiError('Failed to update profile', 500);
+    }
+});
+
+// Upload Profile Picture
+router.post('/dc/profile-picture', authenticateToken, validateRequest(schemas.uploadProfilePicture), upload.single('profilePic'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.apiError('No file uploaded', 400);
+        }
+
+        // Remove old profile picture if exists
+        const dc = req.dcData;
+        if (dc.profilePic) {
+            const oldPath = path.join(config.uploads.path, dc.profilePic);
+            if (fs.existsSync(oldPath)) {
+                fs.unlinkSync(oldPath);
+            }
+        }
+
+        // Update DC with new profile picture
+        const updatedDC = req.dbManager.updateDC(req.user.id, {
+            profilePic: req.file.filename
+        });
+
+        res.apiSuccess({
+            profilePic: `/uploads/${req.file.filename}`,
+            filename: req.file.filename
+        }, 'Profile picture uploaded successfully');
+
+    } catch (error) {
+        console.error('Upload profile picture error:', error);
+        res.apiError('Failed to upload profile picture', 500);
+    }
+});
+
+// Remove Profile Picture
+router.delete('/dc/profile-picture', authenticateToken, validateRequest(schemas.removeProfilePicture), (req, res) => {
+    try {
+        const dc = req.dcData;
+        
+        if (dc.profilePic) {
+            const filePath = path.join(config.uploads.path, dc.profilePic);
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+
+        req.dbManager.updateDC(req.user.id, { profilePic: null });
+
+        res.apiSuccess(null, 'Profile picture removed successfully');
+
+    } catch (error) {
+        console.error('Remove profile picture error:', error);
+        res.apiError('Failed to remove profile picture', 500);
+    }
+});
+
+// ===== DC ADMINISTRATION ROUTES =====
+
+// Public view of a DC record (never expose the password hash)
+const serializeDC = (dc) => ({
+    id: dc.id,
+    name: dc.name,
+    email: dc.email,
+    employeeId: dc.employeeId,
+    contact: dc.contact,
+    role: dc.role || 'dc',
+    isActive: dc.isActive,
+    lockedUntil: dc.lockedUntil || null,
+    twoFactorEnabled: Boolean(dc.twoFactor && dc.twoFactor.enabled),
+    approvalStatus: dc.approvalStatus || 'approved',
+    emailVerified: dc.emailVerified !== false,
+    hostelType: dc.hostelType,
+    specificHostel: dc.specificHostel,
+    floor: dc.floor,
+    assignedDC: dc.assignedDC,
+    createdAt: dc.createdAt,
+    updatedAt: dc.updatedAt
+});
+
+// Resolve :id to a DC the caller may manage, or send the error response
+const findManagedDC = (req, res) => {
+    const dc = req.dbManager.getDCById(parseInt(req.params.id));
+    if (!dc) {
+        res.apiError('DC not found', 404);
+        return null;
+    }
+    if (!canManageDC(req.dcData, dc)) {
+        logDenial(req, { resource: 'dc', resourceId: dc.id });
+        res.apiError('You are not allowed to manage this DC', 403);
+        return null;
+    }
+    return dc;
+};
+
+// List DCs
+router.get('/admin/dcs', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.listDCs), (req, res) => {
+    try {
+        const { role, hostel, isActive, approvalStatus } = req.query;
+        let dcs = req.dbManager.database.dcs;
+
+        if (req.dcData.role !== 'admin') {
+            dcs = dcs.filter(dc => canManageDC(req.dcData, dc));
+        }
+
+        if (role) {
+            dcs = dcs.filter(dc => (dc.role || 'dc') === role);
+        }
+
+        if (hostel) {
+            dcs = dcs.filter(dc => dc.specificHostel === hostel);
+        }
+
+        if (isActive !== undefined) {
+            dcs = dcs.filter(dc => dc.isActive === isActive);
+        }
+
+        if (approvalStatus) {
+            dcs = dcs.filter(dc => (dc.approvalStatus || 'approved') === approvalStatus);
+        }
+
+        res.apiSuccess(dcs.map(serializeDC), 'DCs retrieved successfully');
+
+    } catch (error) {
+        console.error('List DCs error:', error);
+        res.apiError('Failed to fetch DCs', 500);
+    }
+});
+
+// Activate or Deactivate DC
+router.put('/admin/dcs/:id/status', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.updateDCStatus), (req, res) => {
+    try {
+        const { isActive } = req.body;
+
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        const updatedDC = req.dbManager.updateDC(dc.id, { isActive });
+
+        if (!isActive) {
+            req.dbManager.revokeAllSessionsForDC(dc.id, 'account_deactivated');
+        }
+
+        res.apiSuccess(serializeDC(updatedDC), `DC ${isActive ? 'activated' : 'deactivated'} successfully`);
+
+    } catch (error) {
+        console.error('Update DC status error:', error);
+        res.apiError('Failed to update DC status', 500);
+    }
+});
+
+// Approve or Reject DC Registration
+router.put('/admin/dcs/:id/approval', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.updateDCApproval), (req, res) => {
+    try {
+        const { decision, reason } = req.body;
+
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        if (dc.approvalStatus !== 'pending') {
+            return res.apiError(`Registration has already been ${dc.approvalStatus || 'approved'}`, 409);
+        }
+
+        const updatedDC = req.dbManager.updateDC(dc.id, {
+            approvalStatus: decision,
+            reviewedBy: req.dcData.id,
+            reviewedAt: new Date(),
+            rejectionReason: decision === 'rejected' ? (reason || '') : null
+        });
+
+        res.apiSuccess(serializeDC(updatedDC), `Registration ${decision} successfully`);
+
+    } catch (error) {
+        console.error('Update DC approval error:', error);
+        res.apiError('Failed to update DC approval', 500);
+    }
+});
+
+// Revoke All Sessions of a DC
+router.delete('/admin/dcs/:id/sessions', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.revokeDCSessions), (req, res) => {
+    try {
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        const revoked = req.dbManager.revokeAllSessionsForDC(dc.id, 'revoked_by_admin');
+
+        res.apiSuccess({ revoked }, 'DC sessions revoked successfully');
+
+    } catch (error) {
+        console.error('Revoke DC sessions error:', error);
+        res.apiError('Failed to revoke DC sessions', 500);
+    }
+});
+
+// Unlock DC Account
+router.put('/admin/dcs/:id/unlock', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.unlockDC), (req, res) => {
+    try {
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        const updatedDC = req.dbManager.updateDC(dc.id, { failedLoginAttempts: 0, lockedUntil: null });
+
+        res.apiSuccess(serializeDC(updatedDC), 'DC account unlocked successfully');
+
+    } catch (error) {
+        console.error('Unlock DC error:', error);
+        res.apiError('Failed to unlock DC account', 500);
+    }
+});
+
+// Get Failed Login Audit Trail
+router.get('/admin/login-audit', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.loginAudit), (req, res) => {
+    try {
+        const { email, dcId, since } = req.query;
+        let entries = req.dbManager.database.loginAudit;
+
+        if (email) {
+            entries = entries.filter(e => e.email === email);
+        }
+
+        if (dcId) {
+            entries = entries.filter(e => e.dcId === dcId);
+        }
+
+        if (since) {
+            entries = entries.filter(e => new Date(e.timestamp) >= new Date(since));
+        }
+
+        res.apiSuccess(entries, 'Login audit retrieved successfully');
+
+    } catch (error) {
+        console.error('Get login audit error:', error);
+        res.apiError('Failed to fetch login audit', 500);
+    }
+});
+
+// ===== API KEY ROUTES =====
+
+const serializeApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    hostel: apiKey.hostel,
+    floor: apiKey.floor,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt
+});
+
+// List API Keys
+router.get('/admin/api-keys', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.listApiKeys), (req, res) => {
+    try {
+        const { hostel, includeRevoked } = req.query;
+        let apiKeys = req.dbManager.database.apiKeys;
+
+        if (hostel) {
+            apiKeys = apiKeys.filter(k => k.hostel === hostel);
+        }
+
+        if (!includeRevoked) {
+            apiKeys = apiKeys.filter(k => !k.revokedAt);
+        }
+
+        res.apiSuccess(apiKeys.map(serializeApiKey), 'API keys retrieved successfully');
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.apiError('Failed to fetch API keys', 500);
+    }
+});
+
+// Issue API Key (the plaintext key is only returned here)
+router.post('/admin/api-keys', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.createApiKey), (req, res) => {
+    try {
+        const { name, hostel, floor, scopes, expiresAt } = req.body;
+
+        const found = req.dbManager.findHostel(hostel);
+        if (!found) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (floor && !found.hostel.floors.includes(floor)) {
+            return res.apiError('Invalid floor. Must be: ' + found.hostel.floors.join(', '), 400);
+        }
+
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const key = `dcm_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+        const apiKey = req.dbManager.createApiKey({
+            name,
+            prefix,
+            keyHash: hashToken(key),
+            scopes,
+            hostelType: found.type,
+            hostel,
+            floor: floor || '',
+            expiresAt: expiresAt ? new Date(expiresAt) : null,
+            createdBy: req.dcData.id
+        });
+
+        res.apiSuccess({
+            ...serializeApiKey(apiKey),
+            key
+        }, 'API key created. Store the key now, it cannot be shown again', 201);
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.apiError('Failed to create API key', 500);
+    }
+});
+
+// Revoke API Key
+router.delete('/admin/api-keys/:id', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.revokeApiKey), (req, res) => {
+    try {
+        const apiKey = req.dbManager.getApiKeyById(parseInt(req.params.id));
+
+        if (!apiKey) {
+            return res.apiError('API key not found', 404);
+        }
+
+        if (apiKey.revokedAt) {
+            return res.apiError('API key is already revoked', 409);
+        }
+
+        const revokedKey = req.dbManager.revokeApiKey(apiKey.id, req.dcData.id);
+
+        res.apiSuccess(serializeApiKey(revokedKey), 'API key revoked successfully');
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.apiError('Failed to revoke API key', 500);
+    }
+});
+
+// Get Hostel Security Settings
+router.get('/admin/hostels/:hostel/security', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.getHostelSecurity), (req, res) => {
+    try {
+        const { hostel } = req.params;
+
+        if (!req.dbManager.findHostel(hostel)) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (!enforceScope(req, res, { hostel }, { resource: 'hostel_settings', resourceId: hostel })) {
+            return;
+        }
+
+        res.apiSuccess(req.dbManager.getHostelSettings(hostel), 'Hostel security settings retrieved successfully');
+
+    } catch (error) {
+        console.error('Get hostel security error:', error);
+        res.apiError('Failed to fetch hostel security settings', 500);
+    }
+});
+
+// Update Hostel Security Settings (e.g. require 2FA for every DC in the hostel)
+router.put('/admin/hostels/:hostel/security', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.updateHostelSecurity), (req, res) => {
+    try {
+        const { hostel } = req.params;
+        const { requireTwoFactor } = req.body;
+
+        if (!req.dbManager.findHostel(hostel)) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (!enforceScope(req, res, { hostel }, { resource: 'hostel_settings', resourceId: hostel })) {
+            return;
+        }
+
+        const settings = req.dbManager.updateHostelSettings(hostel, {
+            requireTwoFactor,
+            updatedBy: req.dcData.id
+        });
+
+        res.apiSuccess(settings, 'Hostel security settings updated successfully');
+
+    } catch (error) {
+        console.error('Update hostel security error:', error);
+        res.apiError('Failed to update hostel security settings', 500);
+    }
+});
+
+// Change DC Role
+router.put('/admin/dcs/:id/role', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.updateDCRole), (req, res) => {
+    try {
+        const { role } = req.body;
+
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        const updatedDC = req.dbManager.updateDC(dc.id, { role });
+
+        res.apiSuccess(serializeDC(updatedDC), 'DC role updated successfully');
+
+    } catch (error) {
+        console.error('Update DC role error:', error);
+        res.apiError('Failed to update DC role', 500);
+    }
+});
+
+// Assign DC to Hostel and Floor
+router.put('/admin/dcs/:id/assignment', authenticateToken, authorizeRole(['warden', 'admin']), validateRequest(schemas.updateDCAssignment), (req, res) => {
+    try {
+        const { specificHostel, floor, assignedDC } = req.body;
+
+        const found = req.dbManager.findHostel(specificHostel);
+        if (!found) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (!enforceScope(req, res, { hostel: specificHostel }, { resource: 'dc_assignment', resourceId: req.params.id })) {
+            return;
+        }
+
+        const dc = findManagedDC(req, res);
+        if (!dc) return;
+
+        // Wardens cover a whole hostel; DCs need a floor
+        if ((dc.role || 'dc') === 'dc' && !floor) {
+            return res.apiError('Floor is required', 400);
+        }
+
+        if (floor && !found.hostel.floors.includes(floor)) {
+            return res.apiError('Invalid floor. Must be: ' + found.hostel.floors.join(', '), 400);
+        }
+
+        const updatedDC = req.dbManager.updateDC(dc.id, {
+            hostelType: found.type,
+            specificHostel,
+            floor: floor || '',
+            assignedDC: assignedDC || (floor ? `${specificHostel}_${floor}` : specificHostel)
+        });
+
+        res.apiSuccess(serializeDC(updatedDC), 'DC assignment updated successfully');
+
+    } catch (error) {
+        console.error('Update DC assignment error:', error);
+        res.apiError('Failed to update DC assignment', 500);
+    }
+});
+
+// ===== DATA MAINTENANCE ROUTES =====
+
+// Check Data Integrity (dangling references, unknown hostels, id sequences)
+router.get('/admin/integrity', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.checkIntegrity), (req, res) => {
+    try {
+        const { issueCount, checks } = req.dbManager.checkIntegrity();
+
+        res.apiSuccess({ issueCount, checks }, 'Integrity check completed');
+
+    } catch (error) {
+        console.error('Integrity check error:', error);
+        res.apiError('Failed to check data integrity', 500);
+    }
+});
+
+// Repair Data Integrity Issues
+router.post('/admin/integrity/repair', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.repairIntegrity), (req, res) => {
+    try {
+        const { issueCount, checks, changed } = req.dbManager.checkIntegrity({ repair: true });
+
+        console.warn(JSON.stringify({
+            event: 'integrity_repair',
+            userId: req.dcData.id,
+            issueCount,
+            changed,
+            timestamp: new Date().toISOString()
+        }));
+
+        res.apiSuccess({ issueCount, checks, changed }, `Repaired ${issueCount} integrity issue(s)`);
+
+    } catch (error) {
+        console.error('Integrity repair error:', error);
+        res.apiError('Failed to repair data integrity', 500);
+    }
+});
+
+// List Data Snapshots
+router.get('/admin/backups', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.listSnapshots), (req, res) => {
+    try {
+        res.apiSuccess(req.dbManager.listSnapshots(), 'Snapshots retrieved successfully');
+
+    } catch (error) {
+        console.error('List snapshots error:', error);
+        res.apiError('Failed to fetch snapshots', 500);
+    }
+});
+
+// Create Data Snapshot
+router.post('/admin/backups', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.createSnapshot), (req, res) => {
+    try {
+        const snapshot = req.dbManager.createSnapshot('manual');
 
-        res.apiSuccess({
-            id: updatedDC.id,
-            name: updatedDC.name,
-            contact: updatedDC.contact,
-            hostelType: updatedDC.hostelType,
-            specificHostel: updatedDC.specificHostel,
-            floor: updatedDC.floor,
-            assignedDC: updatedDC.assignedDC
-        }, 'Profile updated successfully');
+        res.apiSuccess(snapshot, 'Snapshot created successfully', 201);
 
     } catch (error) {
-        console.error('Update profile error:', error);
-        res.apiError('Failed to update profile', 500);
+        console.error('Create snapshot error:', error);
+        res.apiError('Failed to create snapshot', 500);
     }
 });
 
-// Upload Profile Picture
-router.post('/dc/profile-picture', authenticateToken, upload.single('profilePic'), (req, res) => {
+// Download Data Snapshot (gzip-compressed JSON)
+router.get('/admin/backups/:name/download', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.downloadSnapshot), (req, res) => {
     try {
-        if (!req.file) {
-            return res.apiError('No file uploaded', 400);
+        const filePath = req.dbManager.snapshotPath(req.params.name);
+        if (!filePath) {
+            return res.apiError('Snapshot not found', 404);
         }
 
-        // Remove old profile picture if exists
-        const dc = req.dcData;
-        if (dc.profilePic) {
-            const oldPath = path.join(__dirname, '..', 'uploads', dc.profilePic);
-            if (fs.existsSync(oldPath)) {
-                fs.unlinkSync(oldPath);
+        res.download(filePath, req.params.name, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Download snapshot error:', error);
+                res.apiError('Failed to download snapshot', 500);
             }
-        }
-
-        // Update DC with new profile picture
-        const updatedDC = dbManager.updateDC(req.user.id, {
-            profilePic: req.file.filename
         });
 
-        res.apiSuccess({
-            profilePic: `/uploads/${req.file.filename}`,
-            filename: req.file.filename
-        }, 'Profile picture uploaded successfully');
-
     } catch (error) {
-        console.error('Upload profile picture error:', error);
-        res.apiError('Failed to upload profile picture', 500);
+        console.error('Download snapshot error:', error);
+        res.apiError('Failed to download snapshot', 500);
     }
 });
 
-// Remove Profile Picture
-router.delete('/dc/profile-picture', authenticateToken, (req, res) => {
+// Restore Data Snapshot (takes effect immediately, no restart needed)
+router.post('/admin/backups/:name/restore', authenticateToken, authorizeRole(['admin']), validateRequest(schemas.restoreSnapshot), (req, res) => {
     try {
-        const dc = req.dcData;
-        
-        if (dc.profilePic) {
-            const filePath = path.join(__dirname, '..', 'uploads', dc.profilePic);
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
+        const { collections } = req.body;
+
+        const result = req.dbManager.restoreSnapshot(req.params.name, collections || null);
+        if (!result) {
+            return res.apiError('Snapshot not found', 404);
         }
 
-        dbManager.updateDC(req.user.id, { profilePic: null });
+        console.warn(JSON.stringify({
+            event: 'snapshot_restored',
+            userId: req.dcData.id,
+            ...result,
+            timestamp: new Date().toISOString()
+        }));
 
-        res.apiSuccess(null, 'Profile picture removed successfully');
+        res.apiSuccess(result, 'Snapshot restored successfully');
 
     } catch (error) {
-        console.error('Remove profile picture error:', error);
-        res.apiError('Failed to remove profile picture', 500);
+        if (error.code === 'EMIGRATION') {
+            return res.apiError(error.message, 409);
+        }
+        console.error('Restore snapshot error:', error);
+        res.apiError('Failed to restore snapshot', 500);
     }
 });
 
 // ===== DASHBOARD STATISTICS ROUTES =====
 
+// Fixed placeholder values v1 still sends; v2 leaves them out
+const LEGACY_DASHBOARD_FIELDS = { totalRooms: 120, messStatus: 'Active', laundryStatus: '24/7', securityLevel: 'High' };
+
 // Get Dashboard Statistics
-router.get('/dashboard/stats', authenticateToken, (req, res) => {
+router.get('/dashboard/stats', authenticateToken, deprecated({
+    versions: ['1.0'],
+    since: '2026-10-19',
+    sunset: '2027-06-30',
+    fields: Object.keys(LEGACY_DASHBOARD_FIELDS)
+}), validateRequest(schemas.dashboardStats), (req, res) => {
     try {
         const dc = req.dcData;
-        const stats = dbManager.getStatistics(dc.specificHostel, dc.floor);
+        const scope = getScope(dc);
+
+        if (scope.level === 'none') {
+            return res.apiError('You have not been assigned to a hostel yet', 403);
+        }
+
+        const stats = req.dbManager.getStatistics(scope.hostel || null, scope.floor || null);
         
+        // v1 sends the percentage as a string with two decimals
+        const legacy = req.apiVersion === '1.0' && {
+            attendancePercentage: stats.attendancePercentage.toFixed(2),
+            ...LEGACY_DASHBOARD_FIELDS
+        };
+
         res.apiSuccess({
             ...stats,
-            totalRooms: 120,
-            messStatus: 'Active',
-            laundryStatus: '24/7',
-            securityLevel: 'High',
+            ...legacy,
             hostelInfo: {
                 name: dc.specificHostel,
                 floor: dc.floor,
@@ -308,11 +1523,19 @@ router.get('/dashboard/stats', authenticateToken, (req, res) => {
 
 // ===== STUDENT MANAGEMENT ROUTES =====
 
-// Get Students by DC Assignment
-router.get('/students', authenticateToken, (req, res) => {
+// Get Students within the caller's scope (wardens and admins may narrow by ?hostel=&floor=)
+router.get('/students', authenticateToken, validateRequest(schemas.listStudents), (req, res) => {
     try {
-        const dc = req.dcData;
-        const students = dbManager.getStudentsByHostel(dc.specificHostel, dc.floor);
+        const { hostel, floor } = req.query;
+        let students = filterByScope(req.dcData, req.dbManager.database.students);
+
+        if (hostel) {
+            students = students.filter(s => s.hostel === hostel);
+        }
+
+        if (floor) {
+            students = students.filter(s => s.floor === floor);
+        }
         
         res.apiSuccess(students, 'Students retrieved successfully');
 
@@ -323,15 +1546,19 @@ router.get('/students', authenticateToken, (req, res) => {
 });
 
 // Get Student by ID
-router.get('/students/:id', authenticateToken, (req, res) => {
+router.get('/students/:id', authenticateToken, validateRequest(schemas.getStudent), (req, res) => {
     try {
         const studentId = parseInt(req.params.id);
-        const student = dbManager.database.students.find(s => s.id === studentId);
+        const student = req.dbManager.database.students.find(s => s.id === studentId);
         
         if (!student) {
             return res.apiError('Student not found', 404);
         }
 
+        if (!enforceScope(req, res, student, { resource: 'student', resourceId: student.id })) {
+            return;
+        }
+
         res.apiSuccess(student, 'Student retrieved successfully');
 
     } catch (error) {
@@ -341,16 +1568,16 @@ router.get('/students/:id', authenticateToken, (req, res) => {
 });
 
 // Add New Student
-router.post('/students', authenticateToken, (req, res) => {
+router.post('/students', authenticateToken, validateRequest(schemas.createStudent), (req, res) => {
     try {
         const { name, rollNumber, hostel, floor, room, email, phone } = req.body;
-        
-        if (!name || !rollNumber || !hostel || !floor || !room) {
-            return res.apiError('Name, roll number, hostel, floor, and room are required', 400);
+
+        if (!enforceScope(req, res, { hostel, floor }, { resource: 'student', action: 'create' })) {
+            return;
         }
 
         // Check if student already exists
-        const existingStudent = dbManager.database.students.find(s => 
+        const existingStudent = req.dbManager.database.students.find(s => 
             s.rollNumber === rollNumber
         );
         
@@ -358,7 +1585,7 @@ router.post('/students', authenticateToken, (req, res) => {
             return res.apiError('Student with this roll number already exists', 409);
         }
 
-        const newStudent = dbManager.createStudent({
+        const newStudent = req.dbManager.createStudent({
             name,
             rollNumber,
             hostel,
@@ -377,37 +1604,99 @@ router.post('/students', authenticateToken, (req, res) => {
     }
 });
 
+// Issue Attendance Pass. The student keeps the pass in their app and sends it to check in
+// with the codes their DC displays; any earlier pass stops working.
+router.post('/students/:id/attendance-pass', authenticateToken, validateRequest(schemas.issueAttendancePass), (req, res) => {
+    try {
+        const student = req.dbManager.database.students.find(s => s.id === req.params.id);
+        if (!student) {
+            return res.apiError('Student not found', 404);
+        }
+
+        if (!enforceScope(req, res, student, { resource: 'attendance_pass', studentId: student.id })) {
+            return;
+        }
+
+        const renewed = req.dbManager.renewAttendancePass(student.id);
+
+        res.apiSuccess({
+            studentId: renewed.id,
+            studentName: renewed.name,
+            rollNumber: renewed.rollNumber,
+            pass: attendanceQr.createStudentPass(renewed),
+            issuedAt: new Date()
+        }, 'Attendance pass issued successfully');
+
+    } catch (error) {
+        console.error('Issue attendance pass error:', error);
+        res.apiError('Failed to issue attendance pass', 500);
+    }
+});
+
 // ===== ATTENDANCE ROUTES =====
 
+// Marks made while a roll call is running on the student's floor belong to it: the method
+// must be one the roll call accepts, and marks after its window (during the grace period)
+// are flagged late or refused as the DC chose. Roll calls that have not started or are
+// over are ignored. Returns { error, status } for a refused mark, otherwise { fields } to
+// record with it (empty outside a roll call).
+const checkRollCall = (req, target, { method, present }) => {
+    const now = Date.now();
+    const rollCall = req.dbManager.findActiveRollCall(target.hostel, target.floor, now);
+    if (!rollCall) {
+        return config.attendance.requireRollCall
+            ? { error: 'No roll call is running on this floor', status: 409 }
+            : { fields: {} };
+    }
+
+    if (!rollCall.methods.includes(method)) {
+        return { error: `This roll call does not accept ${method} attendance`, status: 400 };
+    }
+
+    const late = now > new Date(rollCall.endsAt).getTime();
+    if (late && rollCall.lateMarks === 'reject') {
+        return { error: 'The roll call window has ended', status: 409 };
+    }
+
+    return { fields: { rollCallId: rollCall.id, late: late && present } };
+};
+
 // Record Manual Attendance
-router.post('/attendance/manual', authenticateToken, (req, res) => {
+router.post('/attendance/manual', authenticateToken, validateRequest(schemas.manualAttendance), (req, res) => {
     try {
         const { studentId, present } = req.body;
-        
-        if (!studentId || present === undefined) {
-            return res.apiError('Student ID and present status are required', 400);
-        }
 
-        const student = dbManager.database.students.find(s => s.id === parseInt(studentId));
+        const student = req.dbManager.database.students.find(s => s.id === studentId);
         if (!student) {
             return res.apiError('Student not found', 404);
         }
 
+        if (!enforceScope(req, res, student, { resource: 'attendance', studentId: student.id })) {
+            return;
+        }
+
+        const rollCall = checkRollCall(req, student, { method: 'manual', present });
+        if (rollCall.error) {
+            return res.apiError(rollCall.error, rollCall.status);
+        }
+
         // Record attendance
-        dbManager.recordAttendance({
-            studentId: parseInt(studentId),
+        req.dbManager.recordAttendance({
+            studentId: studentId,
             present,
-            method: 'manual'
+            method: 'manual',
+            ...rollCall.fields
         });
 
         // Update student status
-        dbManager.updateStudentAttendance(parseInt(studentId), present);
+        req.dbManager.updateStudentAttendance(studentId, present);
 
         res.apiSuccess({
-            studentId: parseInt(studentId),
+            studentId: studentId,
             studentName: student.name,
             present,
-            method: 'manual'
+            method: 'manual',
+            ...rollCall.fields
         }, 'Attendance recorded successfully');
 
     } catch (error) {
@@ -417,34 +1706,41 @@ router.post('/attendance/manual', authenticateToken, (req, res) => {
 });
 
 // Record Face Recognition Attendance
-router.post('/attendance/face-recognition', authenticateToken, (req, res) => {
+router.post('/attendance/face-recognition', authenticateToken, validateRequest(schemas.faceRecognitionAttendance), (req, res) => {
     try {
         const { studentId } = req.body;
-        
-        if (!studentId) {
-            return res.apiError('Student ID is required', 400);
-        }
 
-        const student = dbManager.database.students.find(s => s.id === parseInt(studentId));
+        const student = req.dbManager.database.students.find(s => s.id === studentId);
         if (!student) {
             return res.apiError('Student not found', 404);
         }
 
+        if (!enforceScope(req, res, student, { resource: 'attendance', studentId: student.id })) {
+            return;
+        }
+
+        const rollCall = checkRollCall(req, student, { method: 'face_recognition', present: true });
+        if (rollCall.error) {
+            return res.apiError(rollCall.error, rollCall.status);
+        }
+
         // Record attendance as present
-        dbManager.recordAttendance({
-            studentId: parseInt(studentId),
+        req.dbManager.recordAttendance({
+            studentId: studentId,
             present: true,
-            method: 'face_recognition'
+            method: 'face_recognition',
+            ...rollCall.fields
         });
 
-        dbManager.updateStudentAttendance(parseInt(studentId), true);
+        req.dbManager.updateStudentAttendance(studentId, true);
 
         res.apiSuccess({
-            studentId: parseInt(studentId),
+            studentId: studentId,
             studentName: student.name,
             rollNumber: student.rollNumber,
             present: true,
-            method: 'face_recognition'
+            method: 'face_recognition',
+            ...rollCall.fields
         }, 'Face recognition attendance recorded successfully');
 
     } catch (error) {
@@ -453,51 +1749,164 @@ router.post('/attendance/face-recognition', authenticateToken, (req, res) => {
     }
 });
 
-// Record QR Code Attendance
-router.post('/attendance/qr-code', authenticateToken, (req, res) => {
+// Record a Floor Roll Call: the status of many students of one floor in a single request.
+// Every entry is checked first and the marks are stored only when all of them are valid,
+// in one write (see DatabaseManager.recordAttendanceBatch).
+router.post('/attendance/bulk', authenticateToken, validateRequest(schemas.bulkAttendance), (req, res) => {
     try {
-        const { qrData } = req.body;
-        
-        if (!qrData) {
-            return res.apiError('QR data is required', 400);
+        const scope = getScope(req.dcData);
+        if (scope.level === 'none') {
+            return res.apiError('You have not been assigned to a hostel yet', 403);
         }
 
-        // Parse QR data format: "STUDENT_ID:TIMESTAMP"
-        const [studentId, timestamp] = qrData.split(':');
-        
-        if (!studentId || !timestamp) {
-            return res.apiError('Invalid QR code format', 400);
+        const hostel = req.body.hostel || scope.hostel;
+        const floor = req.body.floor || scope.floor;
+        if (!hostel || !floor) {
+            return res.apiError('Hostel and floor are required', 400);
         }
 
-        const student = dbManager.database.students.find(s => s.id === parseInt(studentId));
-        if (!student) {
-            return res.apiError('Student not found', 404);
+        const found = req.dbManager.findHostel(hostel);
+        if (!found) {
+            return res.apiError('Hostel not found', 404);
         }
 
-        // Verify timestamp is not too old (within 5 minutes)
-        const qrTime = parseInt(timestamp);
-        const now = Date.now();
-        const fiveMinutes = 5 * 60 * 1000;
-        
-        if (now - qrTime > fiveMinutes) {
-            return res.apiError('QR code has expired', 400);
+        if (!found.hostel.floors.includes(floor)) {
+            return res.apiError('Invalid floor. Must be: ' + found.hostel.floors.join(', '), 400);
         }
 
-        // Record attendance
-        dbManager.recordAttendance({
-            studentId: parseInt(studentId),
+        if (!enforceScope(req, res, { hostel, floor }, { resource: 'attendance' })) {
+            return;
+        }
+
+        const { entries } = req.body;
+        const floorStudents = new Map(req.dbManager.getStudentsByHostel(hostel, floor).map(s => [s.id, s]));
+        const seen = new Set();
+        const entryErrors = [];
+        entries.forEach((entry, index) => {
+            const field = `entries[${index}].studentId`;
+            if (seen.has(entry.studentId)) {
+                entryErrors.push({ field, message: `Student ${entry.studentId} is listed more than once` });
+            } else if (!floorStudents.has(entry.studentId)) {
+                entryErrors.push({ field, message: `Student ${entry.studentId} is not on ${hostel} ${floor}` });
+            }
+            seen.add(entry.studentId);
+        });
+        if (entryErrors.length > 0) {
+            return res.apiError('Some roll call entries are invalid', 400, entryErrors);
+        }
+
+        const checks = entries.map(entry =>
+            checkRollCall(req, { hostel, floor }, { method: 'manual', present: entry.status === 'present' }));
+        const refused = checks.find(check => check.error);
+        if (refused) {
+            return res.apiError(refused.error, refused.status);
+        }
+
+        const results = req.dbManager.recordAttendanceBatch(entries.map((entry, index) => ({
+            studentId: entry.studentId,
+            present: entry.status === 'present',
+            method: 'manual',
+            ...(entry.status === 'leave' && { onLeave: true }),
+            ...checks[index].fields
+        })));
+
+        const countOf = (status) => entries.filter(entry => entry.status === status).length;
+        const { rollCallId } = checks[0].fields;
+        res.apiSuccess({
+            hostel,
+            floor,
+            ...(rollCallId && { rollCallId }),
+            summary: {
+                total: entries.length,
+                present: countOf('present'),
+                absent: countOf('absent'),
+                leave: countOf('leave'),
+                late: results.filter(({ record }) => record.late).length
+            },
+            results: entries.map((entry, index) => {
+                const student = floorStudents.get(entry.studentId);
+                const { record, created } = results[index];
+                return {
+                    studentId: student.id,
+                    studentName: student.name,
+                    rollNumber: student.rollNumber,
+                    status: entry.status,
+                    present: record.present,
+                    ...(rollCallId && { late: record.late }),
+                    created
+                };
+            }),
+            notMarked: [...floorStudents.keys()].filter(id => !seen.has(id))
+        }, 'Roll call recorded successfully');
+
+    } catch (error) {
+        console.error('Bulk attendance error:', error);
+        res.apiError('Failed to record roll call', 500);
+    }
+});
+
+// Check In with an Attendance QR Code, either way round:
+//  - a student scans the code their DC or gate display shows and sends it with their
+//    attendance pass; the code works once per student, for its hostel (and floor)
+//  - a gate scanner (API key) or DC scans the code a student shows (GET
+//    /attendance/my-qr-code); that code names the student and works once
+// The student always comes from the pass or the signed code, never from the request body.
+router.post('/attendance/qr-code', rateLimit(60 * 1000, 300), authenticateStudentOrToken, validateRequest(schemas.qrCodeAttendance), (req, res) => {
+    try {
+        const { claims, error } = attendanceQr.verifyCode(req.body.qrData);
+        if (error) {
+            return res.apiError(error, 400);
+        }
+
+        let student;
+        if (req.student) {
+            student = req.student;
+            if (claims.sub && claims.sub !== student.id) {
+                return res.apiError('This QR code belongs to another student', 403);
+            }
+        } else {
+            if (!claims.sub) {
+                return res.apiError('This QR code is for students to scan with their attendance pass', 400);
+            }
+            student = req.dbManager.database.students.find(s => s.id === claims.sub);
+            if (!student) {
+                return res.apiError('Student not found', 404);
+            }
+            if (!enforceScope(req, res, student, { resource: 'attendance', studentId: student.id })) {
+                return;
+            }
+        }
+
+        if (student.hostel !== claims.hostel || (claims.floor && student.floor !== claims.floor)) {
+            return res.apiError('This QR code is for another hostel or floor', 403);
+        }
+
+        // Checked before the code is spent, so a refused scan can be repeated
+        const rollCall = checkRollCall(req, student, { method: 'qr_code', present: true });
+        if (rollCall.error) {
+            return res.apiError(rollCall.error, rollCall.status);
+        }
+
+        if (!req.dbManager.useQrCode(claims.nonce, student.id, new Date(claims.exp * 1000))) {
+            return res.apiError('This QR code has already been used', 409);
+        }
+
+        req.dbManager.recordAttendance({
+            studentId: student.id,
             present: true,
-            method: 'qr_code'
+            method: 'qr_code',
+            ...rollCall.fields
         });
 
-        dbManager.updateStudentAttendance(parseInt(studentId), true);
+        req.dbManager.updateStudentAttendance(student.id, true);
 
         res.apiSuccess({
-            studentId: parseInt(studentId),
+            studentId: student.id,
             studentName: student.name,
             rollNumber: student.rollNumber,
             present: true,
-            method: 'qr_code'
+            method: 'qr_code',
+            ...rollCall.fields
         }, 'QR code attendance recorded successfully');
 
     } catch (error) {
@@ -506,17 +1915,89 @@ router.post('/attendance/qr-code', authenticateToken, (req, res) => {
     }
 });
 
-// Generate QR Code for Attendance
-router.get('/attendance/generate-qr', authenticateToken, (req, res) => {
+// Get My QR Code: a short-lived code naming the calling student, shown to a gate scanner
+router.get('/attendance/my-qr-code', authenticateStudent, validateRequest(schemas.studentQr), async (req, res) => {
     try {
-        const timestamp = Date.now();
-        const qrData = `ATTENDANCE:${timestamp}:${req.user.id}`;
-        const expiresAt = new Date(timestamp + 5 * 60 * 1000); // 5 minutes
-        
+        const { student } = req;
+        if (!student.hostel) {
+            return res.apiError('You have not been assigned to a hostel yet', 403);
+        }
+
+        const { qrData, expiresAt } = attendanceQr.createCode({
+            issuer: `student:${student.id}`,
+            hostel: student.hostel,
+            floor: student.floor || '',
+            studentId: student.id
+        });
+        const { size, errorCorrection } = req.query;
+        const { svg, png } = await attendanceQr.renderCode(qrData, { size, errorCorrection });
+
+        res.apiSuccess({
+            qrData,
+            studentId: student.id,
+            expiresAt,
+            svg,
+            png
+        }, 'QR code generated successfully');
+
+    } catch (error) {
+        console.error('Student QR error:', error);
+        res.apiError('Failed to generate QR code', 500);
+    }
+});
+
+// Rotating codes stay valid this much longer than the rotation, for students mid-scan
+const QR_ROTATION_GRACE_SECONDS = 10;
+
+// Generate QR Code for Attendance, for the caller's floor or the hostel/floor asked for
+// within the caller's scope (see ../utils/attendanceQr). The code comes as text, SVG and
+// PNG. With rotate, it expires soon after that many seconds and the display fetches a
+// fresh one at refreshAt, so a photo of the screen is useless by the time it is shared.
+router.get('/attendance/generate-qr', authenticateToken, validateRequest(schemas.generateQr), async (req, res) => {
+    try {
+        const scope = getScope(req.dcData);
+        if (scope.level === 'none') {
+            return res.apiError('You have not been assigned to a hostel yet', 403);
+        }
+
+        const hostel = req.query.hostel || scope.hostel;
+        const floor = req.query.floor || scope.floor || '';
+        if (!hostel) {
+            return res.apiError('Hostel is required', 400);
+        }
+
+        const found = req.dbManager.findHostel(hostel);
+        if (!found) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (floor && !found.hostel.floors.includes(floor)) {
+            return res.apiError('Invalid floor. Must be: ' + found.hostel.floors.join(', '), 400);
+        }
+
+        if (!enforceScope(req, res, { hostel, floor }, { resource: 'attendance_qr' })) {
+            return;
+        }
+
+        const { size, errorCorrection, rotate } = req.query;
+        const ttl = rotate ? rotate + QR_ROTATION_GRACE_SECONDS : config.attendance.qrTtlSeconds;
+        const { qrData, expiresAt } = attendanceQr.createCode({
+            issuer: req.apiKey ? `apiKey:${req.apiKey.id}` : `dc:${req.user.id}`,
+            hostel,
+            floor,
+            ttlSeconds: ttl
+        });
+        const { svg, png } = await attendanceQr.renderCode(qrData, { size, errorCorrection });
+
         res.apiSuccess({
             qrData,
+            hostel,
+            floor,
             expiresAt,
-            validFor: '5 minutes'
+            validFor: ttl % 60 === 0 ? `${ttl / 60} minute${ttl === 60 ? '' : 's'}` : `${ttl} seconds`,
+            svg,
+            png,
+            ...(rotate && { refreshAt: new Date(Date.now() + rotate * 1000) })
         }, 'QR code generated successfully');
 
     } catch (error) {
@@ -525,11 +2006,170 @@ router.get('/attendance/generate-qr', authenticateToken, (req, res) => {
     }
 });
 
+// Roll calls last at most this long
+const MAX_ROLL_CALL_HOURS = 24;
+
+// Open a Roll Call for the caller's floor, or a floor of a hostel within the caller's
+// scope. Until it is closed, marks for that floor follow its window and methods (see
+// checkRollCall above).
+router.post('/attendance/roll-calls', authenticateToken, validateRequest(schemas.openRollCall), (req, res) => {
+    try {
+        const scope = getScope(req.dcData);
+        if (scope.level === 'none') {
+            return res.apiError('You have not been assigned to a hostel yet', 403);
+        }
+
+        const hostel = req.body.hostel || scope.hostel;
+        const floor = req.body.floor || scope.floor;
+        if (!hostel || !floor) {
+            return res.apiError('Hostel and floor are required', 400);
+        }
+
+        const found = req.dbManager.findHostel(hostel);
+        if (!found) {
+            return res.apiError('Hostel not found', 404);
+        }
+
+        if (!found.hostel.floors.includes(floor)) {
+            return res.apiError('Invalid floor. Must be: ' + found.hostel.floors.join(', '), 400);
+        }
+
+        if (!enforceScope(req, res, { hostel, floor }, { resource: 'roll_call' })) {
+            return;
+        }
+
+        const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+        const endsAt = new Date(req.body.endsAt);
+        if (endsAt <= startsAt) {
+            return res.apiError('endsAt must be after startsAt', 400);
+        }
+        if (endsAt - startsAt > MAX_ROLL_CALL_HOURS * 60 * 60 * 1000) {
+            return res.apiError(`A roll call can last at most ${MAX_ROLL_CALL_HOURS} hours`, 400);
+        }
+
+        const rollCall = req.dbManager.openRollCall({
+            hostel,
+            floor,
+            title: req.body.title || '',
+            startsAt,
+            endsAt,
+            methods: req.body.methods ? [...new Set(req.body.methods)] : ATTENDANCE_METHODS,
+            lateMarks: req.body.lateMarks || 'flag',
+            openedBy: req.user.id
+        });
+        if (!rollCall) {
+            return res.apiError('A roll call is already open for this floor', 409);
+        }
+
+        res.apiSuccess(rollCall, 'Roll call opened successfully', 201);
+
+    } catch (error) {
+        console.error('Open roll call error:', error);
+        res.apiError('Failed to open roll call', 500);
+    }
+});
+
+// Get Roll Calls
+router.get('/attendance/roll-calls', authenticateToken, validateRequest(schemas.listRollCalls), (req, res) => {
+    try {
+        const { status, hostel, floor } = req.query;
+        const rollCalls = filterByScope(req.dcData, req.dbManager.database.rollCalls)
+            .filter(rollCall => (!status || rollCall.status === status) &&
+                (!hostel || rollCall.hostel === hostel) &&
+                (!floor || rollCall.floor === floor))
+            .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+
+        res.apiSuccess(rollCalls, 'Roll calls retrieved successfully');
+
+    } catch (error) {
+        console.error('Get roll calls error:', error);
+        res.apiError('Failed to fetch roll calls', 500);
+    }
+});
+
+// Get Roll Call
+router.get('/attendance/roll-calls/:id', authenticateToken, validateRequest(schemas.getRollCall), (req, res) => {
+    try {
+        const rollCall = req.dbManager.getRollCall(req.params.id);
+        if (!rollCall) {
+            return res.apiError('Roll call not found', 404);
+        }
+
+        if (!enforceScope(req, res, rollCall, { resource: 'roll_call', rollCallId: rollCall.id })) {
+            return;
+        }
+
+        res.apiSuccess({
+            ...rollCall,
+            attendance: req.dbManager.getRollCallAttendance(rollCall.id)
+        }, 'Roll call retrieved successfully');
+
+    } catch (error) {
+        console.error('Get roll call error:', error);
+        res.apiError('Failed to fetch roll call', 500);
+    }
+});
+
+// Close Roll Call. Students on the floor who were not marked are recorded absent, and
+// the roll call keeps a summary of the result.
+router.post('/attendance/roll-calls/:id/close', authenticateToken, validateRequest(schemas.closeRollCall), (req, res) => {
+    try {
+        const rollCall = req.dbManager.getRollCall(req.params.id);
+        if (!rollCall) {
+            return res.apiError('Roll call not found', 404);
+        }
+
+        if (!enforceScope(req, res, rollCall, { resource: 'roll_call', rollCallId: rollCall.id })) {
+            return;
+        }
+
+        if (rollCall.status !== 'open') {
+            return res.apiError('This roll call is already closed', 409);
+        }
+
+        const closed = req.dbManager.closeRollCall(rollCall.id, req.user.id);
+
+        res.apiSuccess(closed, 'Roll call closed successfully');
+
+    } catch (error) {
+        console.error('Close roll call error:', error);
+        res.apiError('Failed to close roll call', 500);
+    }
+});
+
+// Get Archived Attendance Days, newest first (see DatabaseManager.rolloverAttendanceDay).
+// Callers without global scope see only their floors, with the totals taken over those.
+router.get('/attendance/days', authenticateToken, validateRequest(schemas.listAttendanceDays), (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const days = req.dbManager.database.attendanceDays
+            .filter(day => (!from || day.date >= from) && (!to || day.date <= to))
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(day => {
+                const floors = filterByScope(req.dcData, day.floors);
+                const totalStudents = floors.reduce((total, floor) => total + floor.totalStudents, 0);
+                const present = floors.reduce((total, floor) => total + floor.present, 0);
+                return { ...day, totalStudents, present, absent: totalStudents - present, floors };
+            });
+
+        res.apiSuccess(days, 'Attendance days retrieved successfully');
+
+    } catch (error) {
+        console.error('Get attendance days error:', error);
+        res.apiError('Failed to fetch attendance days', 500);
+    }
+});
+
 // Get Attendance by Date
-router.get('/attendance/:date', authenticateToken, (req, res) => {
+router.get('/attendance/:date', authenticateToken, validateRequest(schemas.attendanceByDate), (req, res) => {
     try {
         const { date } = req.params;
-        const attendance = dbManager.getAttendanceByDate(date);
+        const studentsById = new Map(req.dbManager.database.students.map(s => [s.id, s]));
+        const attendance = filterByScope(
+            req.dcData,
+            req.dbManager.getAttendanceByDate(date),
+            record => studentsById.get(record.studentId)
+        );
         
         res.apiSuccess(attendance, 'Attendance records retrieved successfully');
 
@@ -542,10 +2182,10 @@ router.get('/attendance/:date', authenticateToken, (req, res) => {
 // ===== COMPLAINTS ROUTES =====
 
 // Get All Complaints
-router.get('/complaints', authenticateToken, (req, res) => {
+router.get('/complaints', authenticateToken, validateRequest(schemas.listComplaints), (req, res) => {
     try {
         const { status, priority } = req.query;
-        let complaints = dbManager.database.complaints;
+        let complaints = filterByScope(req.dcData, req.dbManager.database.complaints);
         
         if (status) {
             complaints = complaints.filter(c => c.status === status);
@@ -564,20 +2204,17 @@ router.get('/complaints', authenticateToken, (req, res) => {
 });
 
 // Submit New Complaint
-router.post('/complaints', (req, res) => {
+router.post('/complaints', validateRequest(schemas.createComplaint), (req, res) => {
     try {
-        const { title, description, submittedBy, room, priority, category, hostel } = req.body;
-        
-        if (!title || !description || !submittedBy) {
-            return res.apiError('Title, description, and submitter name are required', 400);
-        }
+        const { title, description, submittedBy, room, priority, category, hostel, floor } = req.body;
 
-        const newComplaint = dbManager.createComplaint({
+        const newComplaint = req.dbManager.createComplaint({
             title,
             description,
             submittedBy,
             room: room || '',
             hostel: hostel || '',
+            floor: floor || '',
             priority: priority || 'Medium',
             category: category || 'General'
         });
@@ -591,22 +2228,22 @@ router.post('/complaints', (req, res) => {
 });
 
 // Update Complaint Status
-router.put('/complaints/:id/status', authenticateToken, (req, res) => {
+router.put('/complaints/:id/status', authenticateToken, validateRequest(schemas.updateComplaintStatus), (req, res) => {
     try {
         const complaintId = parseInt(req.params.id);
         const { status } = req.body;
-        
-        const validStatuses = ['Open', 'In Progress', 'Resolved', 'Closed'];
-        if (!validStatuses.includes(status)) {
-            return res.apiError('Invalid status. Must be: ' + validStatuses.join(', '), 400);
-        }
 
-        const updatedComplaint = dbManager.updateComplaintStatus(complaintId, status);
-        
-        if (!updatedComplaint) {
+        const complaint = req.dbManager.database.complaints.find(c => c.id === complaintId);
+        if (!complaint) {
             return res.apiError('Complaint not found', 404);
         }
 
+        if (!enforceScope(req, res, complaint, { resource: 'complaint', resourceId: complaint.id })) {
+            return;
+        }
+
+        const updatedComplaint = req.dbManager.updateComplaintStatus(complaintId, status);
+
         res.apiSuccess(updatedComplaint, 'Complaint status updated successfully');
 
     } catch (error) {
@@ -616,11 +2253,12 @@ router.put('/complaints/:id/status', authenticateToken, (req, res) => {
 });
 
 // ===== IRON BORROWING ROUTES =====
+// Irons are a shared pool with no hostel assignment, so any authenticated DC may use them
 
 // Get Iron Borrowing Status
-router.get('/iron-borrowing', authenticateToken, (req, res) => {
+router.get('/iron-borrowing', authenticateToken, validateRequest(schemas.listIrons), (req, res) => {
     try {
-        const irons = dbManager.database.ironBorrowing;
+        const irons = req.dbManager.database.ironBorrowing;
         const summary = {
             total: irons.length,
             available: irons.filter(i => i.available).length,
@@ -637,18 +2275,14 @@ router.get('/iron-borrowing', authenticateToken, (req, res) => {
 });
 
 // Borrow Iron
-router.post('/iron-borrowing/borrow', authenticateToken, (req, res) => {
+router.post('/iron-borrowing/borrow', authenticateToken, validateRequest(schemas.borrowIron), (req, res) => {
     try {
         const { ironId, borrowerName, room, duration } = req.body;
-        
-        if (!ironId || !borrowerName) {
-            return res.apiError('Iron ID and borrower name are required', 400);
-        }
 
-        const iron = dbManager.borrowIron(parseInt(ironId), {
+        const iron = req.dbManager.borrowIron(ironId, {
             borrowerName,
             room: room || '',
-            duration: parseInt(duration) || 4
+            duration: duration || 4
         });
 
         if (!iron) {
@@ -668,15 +2302,11 @@ router.post('/iron-borrowing/borrow', authenticateToken, (req, res) => {
 });
 
 // Return Iron
-router.post('/iron-borrowing/return', authenticateToken, (req, res) => {
+router.post('/iron-borrowing/return', authenticateToken, validateRequest(schemas.returnIron), (req, res) => {
     try {
         const { ironId } = req.body;
-        
-        if (!ironId) {
-            return res.apiError('Iron ID is required', 400);
-        }
 
-        const iron = dbManager.returnIron(parseInt(ironId));
+        const iron = req.dbManager.returnIron(ironId);
 
         if (!iron) {
             return res.apiError('Iron not found', 404);
@@ -693,9 +2323,9 @@ router.post('/iron-borrowing/return', authenticateToken, (req, res) => {
 // ===== HOSTEL INFORMATION ROUTES =====
 
 // Get Hostel Data
-router.get('/hostels', (req, res) => {
+router.get('/hostels', validateRequest(schemas.listHostels), (req, res) => {
     try {
-        const hostels = dbManager.database.hostels;
+        const hostels = req.dbManager.database.hostels;
         res.apiSuccess(hostels, 'Hostel information retrieved successfully');
 
     } catch (error) {
@@ -705,10 +2335,10 @@ router.get('/hostels', (req, res) => {
 });
 
 // Get Specific Hostel Information
-router.get('/hostels/:type/:name', (req, res) => {
+router.get('/hostels/:type/:name', validateRequest(schemas.getHostel), (req, res) => {
     try {
         const { type, name } = req.params;
-        const hostel = dbManager.database.hostels[type]?.[name];
+        const hostel = req.dbManager.database.hostels[type]?.[name];
         
         if (!hostel) {
             return res.apiError('Hostel not found', 404);
@@ -722,4 +2352,20 @@ router.get('/hostels/:type/:name', (req, res) => {
     }
 });
 
+// ===== API DOCUMENTATION =====
+
+// OpenAPI Document of the requested version (built on the first request, once every route is registered)
+const openApiDocuments = {};
+router.get('/openapi.json', validateRequest(schemas.openApiDocument), (req, res) => {
+    try {
+        const version = req.apiVersion;
+        openApiDocuments[version] = openApiDocuments[version] || buildOpenApiDocument(router, { version });
+        res.json(openApiDocuments[version]);
+
+    } catch (error) {
+        console.error('OpenAPI document error:', error);
+        res.apiError('Failed to build the API document', 500);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,86 @@
+// tests/apiKeys.test.js
+// Device API keys open only the routes, and the methods on them, they were issued for,
+// within their hostel, until they are revoked.
+const { request, createTestApp, createDC, login } = require('./helpers');
+const { runMigrations } = require('../database/migrations');
+
+describe('API keys', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let adminAuth;
+
+    const issueKey = async (body) => {
+        const res = await request(app).post('/api/admin/api-keys').set('Authorization', adminAuth)
+            .send({ name: 'Kiosk', hostel: 'himgiri', ...body });
+        expect(res.status).toBe(201);
+        return res.body.data;
+    };
+
+    beforeEach(async () => {
+        ({ app, dbManager, cleanup } = createTestApp());
+        const admin = createDC(dbManager, { role: 'admin', specificHostel: '', floor: '' });
+        adminAuth = `Bearer ${(await login(app, admin.email)).token}`;
+    });
+
+    afterEach(() => cleanup());
+
+    test('a key reads what it is scoped for and nothing else', async () => {
+        const { key } = await issueKey({ scopes: ['GET /students'] });
+
+        const list = await request(app).get('/api/students').set('X-API-Key', key);
+        expect(list.status).toBe(200);
+        expect(list.body.data.length).toBeGreaterThan(0);
+        expect(list.body.data.every(student => student.hostel === 'himgiri')).toBe(true);
+
+        const other = await request(app).get('/api/complaints').set('Authorization', `ApiKey ${key}`);
+        expect(other.status).toBe(403);
+    });
+
+    test('a read scope does not allow writes to the same path', async () => {
+        const { key } = await issueKey({ scopes: ['GET /students'] });
+        const before = dbManager.database.students.length;
+
+        const res = await request(app).post('/api/students').set('X-API-Key', key)
+            .send({ name: 'Mallory', rollNumber: 'KEY001', hostel: 'himgiri', floor: 'first', room: '101' });
+        expect(res.status).toBe(403);
+        expect(dbManager.database.students.length).toBe(before);
+    });
+
+    test('scopes without a method are refused when issuing a key', async () => {
+        const res = await request(app).post('/api/admin/api-keys').set('Authorization', adminAuth)
+            .send({ name: 'Kiosk', hostel: 'himgiri', scopes: ['/students'] });
+        expect(res.status).toBe(400);
+    });
+
+    test('unknown, revoked and expired keys are refused', async () => {
+        const revoked = await issueKey({ scopes: ['GET /students'] });
+        expect((await request(app).delete(`/api/admin/api-keys/${revoked.id}`).set('Authorization', adminAuth)).status).toBe(200);
+        expect((await request(app).get('/api/students').set('X-API-Key', revoked.key)).status).toBe(401);
+
+        const expired = await issueKey({ scopes: ['GET /students'], expiresAt: new Date(Date.now() + 1000).toISOString() });
+        dbManager.database.apiKeys.find(apiKey => apiKey.id === expired.id).expiresAt = new Date(Date.now() - 1000);
+        expect((await request(app).get('/api/students').set('X-API-Key', expired.key)).status).toBe(401);
+
+        expect((await request(app).get('/api/students').set('X-API-Key', 'dcm_unknown')).status).toBe(401);
+    });
+
+    test('keys issued with path-only scopes keep the method their devices use', () => {
+        const result = runMigrations({
+            meta: { schema: { version: 4, history: [] } },
+            apiKeys: [{ id: 1, scopes: ['/students', '/attendance/qr-code'] }]
+        }, { backup: false });
+
+        expect(result.data.apiKeys[0].scopes).toEqual(['GET /students', 'POST /attendance/qr-code']);
+    });
+
+    test('data that already ran migration 5 still gets method scopes', () => {
+        const result = runMigrations({
+            meta: { schema: { version: 5, history: [] } },
+            apiKeys: [{ id: 1, scopes: ['/students'] }]
+        }, { backup: false });
+
+        expect(result.applied.map(migration => migration.version)).toEqual([6]);
+        expect(result.data.apiKeys[0].scopes).toEqual(['GET /students']);
+    });
+});
@@ -0,0 +1,134 @@
+// utils/attendanceQr.js
+// Signed attendance QR codes. A DC (or a gate display with an API key) shows a code for
+// its hostel and floor, and students scan it to check themselves in; or a student shows a
+// code made out to them (sub) and a gate scanner or DC scans it. A code reads
+//   ATTENDANCE:1:<payload>:<signature>
+// where the payload is base64url JSON { iss, hostel, floor, sub?, exp, nonce } and the
+// signature a base64url HMAC-SHA256 of everything before it. The nonce lets the scan
+// endpoint accept each code only once per student.
+//
+// Students prove who they are with an attendance pass a DC issues them, signed the same
+// way as STUDENTPASS:1:<payload { sub, ver }>:<signature>. Issuing a new pass raises the
+// student's attendancePassVersion, which retires the old one.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('../config');
+
+const CODE_PREFIX = 'ATTENDANCE';
+const PASS_PREFIX = 'STUDENTPASS';
+const FORMAT_VERSION = '1';
+
+// Keyed by ATTENDANCE_QR_SIGNING_KEY, or derived from JWT_SECRET so the two never match
+const getSigningKey = () => {
+    if (config.attendance.qrSigningKey) {
+        return crypto.createHash('sha256').update(config.attendance.qrSigningKey).digest();
+    }
+    return crypto.createHmac('sha256', config.auth.jwtSecret).update('attendance-qr').digest();
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSigningKey()).update(data).digest('base64url');
+
+// The prefix is signed too, so a code never passes for a pass or the other way round
+const seal = (prefix, claims) => {
+    const unsigned = `${prefix}:${FORMAT_VERSION}:${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+    return `${unsigned}:${sign(unsigned)}`;
+};
+
+// The claims of a genuine sealed value, or null
+const unseal = (prefix, value) => {
+    const parts = String(value || '').trim().split(':');
+    if (parts.length !== 4 || parts[0] !== prefix || parts[1] !== FORMAT_VERSION) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(parts.slice(0, 3).join(':')));
+    const signature = Buffer.from(parts[3]);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(parts[2], 'base64url').toString('utf8'));
+        return claims && typeof claims === 'object' ? claims : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Issue a code for a hostel (and floor; empty for the whole hostel), or for one student
+// with studentId. issuer names who shows it, e.g. "dc:4", "apiKey:2" or "student:7".
+const createCode = ({ issuer, hostel, floor = '', studentId, ttlSeconds = config.attendance.qrTtlSeconds }) => {
+    const claims = {
+        iss: issuer,
+        hostel,
+        floor,
+        ...(studentId && { sub: studentId }),
+        exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+        nonce: crypto.randomBytes(12).toString('base64url')
+    };
+
+    return {
+        qrData: seal(CODE_PREFIX, claims),
+        claims,
+        expiresAt: new Date(claims.exp * 1000)
+    };
+};
+
+// Check a scanned code. Returns { claims } when it is genuine and unexpired, otherwise
+// { error } with the reason it was refused.
+const verifyCode = (qrData) => {
+    const parts = String(qrData || '').trim().split(':');
+    if (parts.length !== 4 || parts[0] !== CODE_PREFIX || parts[1] !== FORMAT_VERSION) {
+        return { error: 'Invalid QR code format' };
+    }
+
+    const claims = unseal(CODE_PREFIX, qrData);
+    if (!claims) {
+        return { error: 'Invalid QR code signature' };
+    }
+    if (!claims.hostel || !claims.nonce || !Number.isInteger(claims.exp)) {
+        return { error: 'Invalid QR code format' };
+    }
+
+    if (claims.exp * 1000 <= Date.now()) {
+        return { error: 'QR code has expired' };
+    }
+    return { claims };
+};
+
+// A student's attendance pass, valid until a newer one is issued
+const createStudentPass = (student) => seal(PASS_PREFIX, {
+    sub: student.id,
+    ver: student.attendancePassVersion || 0
+});
+
+// Returns { studentId, version } for a genuine pass, or null
+const verifyStudentPass = (pass) => {
+    const claims = unseal(PASS_PREFIX, pass);
+    if (!claims || !Number.isInteger(claims.sub) || !Number.isInteger(claims.ver)) {
+        return null;
+    }
+    return { studentId: claims.sub, version: claims.ver };
+};
+
+// Error correction levels: L, M, Q and H recover about 7, 15, 25 and 30% of a damaged code
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Draw a code as SVG markup and a PNG data URL, size pixels wide
+const renderCode = async (qrData, { size = 256, errorCorrection = 'M' } = {}) => {
+    const options = { width: size, margin: 2, errorCorrectionLevel: errorCorrection };
+    const [svg, png] = await Promise.all([
+        QRCode.toString(qrData, { ...options, type: 'svg' }),
+        QRCode.toDataURL(qrData, { ...options, type: 'image/png' })
+    ]);
+    return { svg, png };
+};
+
+module.exports = {
+    ERROR_CORRECTION_LEVELS,
+    createCode,
+    verifyCode,
+    createStudentPass,
+    verifyStudentPass,
+    renderCode
+};
@@ -0,0 +1,121 @@
+// tests/auth.test.js
+// Refresh tokens rotate on every use; presenting a rotated one again ends the session.
+// Failed passwords and 2FA codes count toward one lockout until a login completes.
+const { PASSWORD, request, createTestApp, createDC, login } = require('./helpers');
+const totp = require('../utils/totp');
+const { lockoutPolicy } = require('../utils/credentials');
+
+describe('Refresh token rotation', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let dc;
+
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    beforeEach(() => {
+        ({ app, dbManager, cleanup } = createTestApp());
+        dc = createDC(dbManager);
+    });
+
+    afterEach(() => cleanup());
+
+    test('a refresh returns a new pair of tokens', async () => {
+        const session = await login(app, dc.email);
+
+        const res = await refresh(session.refreshToken);
+        expect(res.status).toBe(200);
+        expect(res.body.data.refreshToken).not.toBe(session.refreshToken);
+
+        const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${res.body.data.token}`);
+        expect(sessions.status).toBe(200);
+
+        const next = await refresh(res.body.data.refreshToken);
+        expect(next.status).toBe(200);
+    });
+
+    test('reusing a rotated refresh token revokes the whole session', async () => {
+        const session = await login(app, dc.email);
+        const rotated = await refresh(session.refreshToken);
+        expect(rotated.status).toBe(200);
+
+        const reuse = await refresh(session.refreshToken);
+        expect(reuse.status).toBe(401);
+        expect(reuse.body.error).toMatch(/reuse/i);
+
+        // The token handed out by the rotation dies with its session, as does the access token
+        expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+        const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${rotated.body.data.token}`);
+        expect(sessions.status).toBe(401);
+        expect(dbManager.getSession(session.sessionId).revokedReason).toBe('reuse_detected');
+    });
+
+    test('other sessions of the same account are not affected', async () => {
+        const first = await login(app, dc.email);
+        const second = await login(app, dc.email);
+
+        await refresh(first.refreshToken);
+        expect((await refresh(first.refreshToken)).status).toBe(401);
+
+        expect((await refresh(second.refreshToken)).status).toBe(200);
+    });
+
+    test('a refresh token stops working after logout', async () => {
+        const session = await login(app, dc.email);
+
+        const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${session.token}`);
+        expect(logout.status).toBe(200);
+
+        expect((await refresh(session.refreshToken)).status).toBe(401);
+    });
+});
+
+describe('Two-factor lockout', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let dc;
+    let secret;
+
+    const stepNow = () => Math.floor(Date.now() / 1000 / 30);
+    const submitCode = (challengeToken, code) => request(app).post('/api/auth/login/2fa').send({ challengeToken, code });
+
+    beforeEach(() => {
+        ({ app, dbManager, cleanup } = createTestApp());
+        secret = totp.generateSecret();
+        dc = createDC(dbManager);
+        dbManager.updateDC(dc.id, {
+            twoFactor: { enabled: true, secret: totp.encryptSecret(secret), recoveryCodes: [], lastUsedStep: -1 }
+        });
+    });
+
+    afterEach(() => cleanup());
+
+    test('logging in with the password between wrong codes does not reset the count', async () => {
+        // A code far outside the accepted window is always wrong
+        const wrongCode = totp.generateCode(secret, stepNow() + 100);
+        let res;
+        for (let attempt = 1; attempt <= lockoutPolicy.maxAttempts; attempt++) {
+            const { challengeToken } = await login(app, dc.email);
+            expect(dbManager.getDCById(dc.id).lastLoginAt).toBeUndefined();
+            res = await submitCode(challengeToken, wrongCode);
+        }
+        expect(res.status).toBe(423);
+
+        const locked = await request(app).post('/api/auth/login').send({ email: dc.email, password: PASSWORD });
+        expect(locked.status).toBe(423);
+    });
+
+    test('a completed login clears the count', async () => {
+        const wrongCode = totp.generateCode(secret, stepNow() + 100);
+        const first = await login(app, dc.email);
+        expect((await submitCode(first.challengeToken, wrongCode)).status).toBe(401);
+        expect(dbManager.getDCById(dc.id).failedLoginAttempts).toBe(1);
+
+        const second = await login(app, dc.email);
+        const res = await submitCode(second.challengeToken, totp.generateCode(secret));
+        expect(res.status).toBe(200);
+        expect(dbManager.getDCById(dc.id)).toMatchObject({ failedLoginAttempts: 0, lockedUntil: null });
+        expect(dbManager.getDCById(dc.id).lastLoginAt).toBeDefined();
+    });
+});
@@ -0,0 +1,126 @@
+// database/backups.js
+// Compressed snapshots of every persisted collection, written to BACKUP_PATH as
+// snapshot-<timestamp>-<reason>.json.gz. Scheduled snapshots are taken every
+// BACKUP_INTERVAL_HOURS; pruning keeps the newest BACKUP_RETENTION_COUNT of each reason and
+// drops any older than BACKUP_RETENTION_DAYS (the newest of each reason is always kept), so
+// a run of manual or pre-restore snapshots never pushes out the last scheduled or
+// pre-migration one. Every function
+// takes the backup directory, so a DatabaseManager on another data directory keeps its
+// snapshots apart.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config');
+const { COLLECTIONS } = require('./storage');
+
+const BACKUP_PATH = config.backups.path;
+const BACKUP_INTERVAL_MS = config.backups.intervalHours * 60 * 60 * 1000;
+const BACKUP_RETENTION_COUNT = config.backups.retentionCount;
+const BACKUP_RETENTION_DAYS = config.backups.retentionDays;
+
+const SNAPSHOT_NAME = /^snapshot-[0-9TZ-]+-([a-z-]+)\.json\.gz$/;
+
+// Copy of the persisted collections (Dates become ISO strings, as they are on disk)
+const cloneCollections = (database) => {
+    const copy = {};
+    Object.keys(COLLECTIONS)
+        .filter(collection => database[collection] !== undefined)
+        .forEach(collection => {
+            copy[collection] = JSON.parse(JSON.stringify(database[collection]));
+        });
+    return copy;
+};
+
+// Resolve a snapshot name from a request, refusing anything that is not one of ours
+const snapshotPath = (name, backupPath = BACKUP_PATH) => {
+    if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name)) {
+        return null;
+    }
+    const filePath = path.join(backupPath, name);
+    return fs.existsSync(filePath) ? filePath : null;
+};
+
+const createSnapshot = (database, { reason = 'manual', backupPath = BACKUP_PATH } = {}) => {
+    fs.mkdirSync(backupPath, { recursive: true });
+
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const collections = cloneCollections(database);
+    const content = zlib.gzipSync(JSON.stringify({
+        schemaVersion: (collections.meta && collections.meta.schema && collections.meta.schema.version) || 0,
+        reason,
+        createdAt,
+        collections
+    }));
+
+    // Written under a temporary name so a half-written archive is never listed, then linked
+    // to its final name. Linking refuses an existing name, so a second snapshot within the
+    // same millisecond is numbered (snapshot-<timestamp>-1-<reason>) instead of replacing it.
+    const tempPath = path.join(backupPath, `snapshot-${stamp}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, content);
+    let name;
+    try {
+        for (let attempt = 0; ; attempt++) {
+            name = `snapshot-${stamp}${attempt > 0 ? `-${attempt}` : ''}-${reason}.json.gz`;
+            try {
+                fs.linkSync(tempPath, path.join(backupPath, name));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+
+    return { name, reason, size: content.length, createdAt };
+};
+
+// Newest first
+const listSnapshots = (backupPath = BACKUP_PATH) => {
+    if (!fs.existsSync(backupPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(backupPath)
+        .filter(name => SNAPSHOT_NAME.test(name))
+        .map(name => {
+            const stats = fs.statSync(path.join(backupPath, name));
+            return { name, reason: name.match(SNAPSHOT_NAME)[1], size: stats.size, createdAt: stats.mtime };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+const readSnapshot = (name, backupPath = BACKUP_PATH) => {
+    const filePath = snapshotPath(name, backupPath);
+    if (!filePath) {
+        return null;
+    }
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+};
+
+const pruneSnapshots = (backupPath = BACKUP_PATH) => {
+    const cutoff = Date.now() - BACKUP_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const byReason = new Map();
+    listSnapshots(backupPath).forEach(snapshot => {
+        byReason.set(snapshot.reason, [...(byReason.get(snapshot.reason) || []), snapshot]);
+    });
+    const expired = [...byReason.values()].flatMap(snapshots => snapshots
+        .filter((snapshot, index) => index > 0 && (index >= BACKUP_RETENTION_COUNT || snapshot.createdAt.getTime() < cutoff)));
+
+    expired.forEach(snapshot => fs.rmSync(path.join(backupPath, snapshot.name), { force: true }));
+    return expired.map(snapshot => snapshot.name);
+};
+
+module.exports = {
+    BACKUP_PATH,
+    BACKUP_INTERVAL_MS,
+    cloneCollections,
+    snapshotPath,
+    createSnapshot,
+    listSnapshots,
+    readSnapshot,
+    pruneSnapshots
+};
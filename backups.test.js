@@ -0,0 +1,52 @@
+// tests/backups.test.js
+// Snapshot names never collide, and retention applies to each kind of snapshot on its own.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const backups = require('../database/backups');
+
+describe('Snapshots', () => {
+    let backupPath;
+    const database = { students: [{ id: 1 }], meta: {} };
+
+    beforeEach(() => {
+        backupPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-management-backups-'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(backupPath, { recursive: true, force: true });
+    });
+
+    test('two snapshots in the same millisecond keep separate files', () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+
+        const first = backups.createSnapshot(database, { reason: 'manual', backupPath });
+        const second = backups.createSnapshot(database, { reason: 'manual', backupPath });
+
+        expect(second.name).not.toBe(first.name);
+        expect(backups.listSnapshots(backupPath).map(snapshot => snapshot.name).sort()).toEqual([first.name, second.name].sort());
+        expect(backups.readSnapshot(second.name, backupPath).collections.students).toEqual([{ id: 1 }]);
+        expect(fs.readdirSync(backupPath).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('manual snapshots do not push out the last scheduled or pre-migration one', () => {
+        const take = (reason, minutesAgo) => {
+            const { name } = backups.createSnapshot(database, { reason, backupPath });
+            const time = new Date(Date.now() - minutesAgo * 60 * 1000);
+            fs.utimesSync(path.join(backupPath, name), time, time);
+            return name;
+        };
+
+        const preMigration = take('pre-migration', 300);
+        const scheduled = take('scheduled', 200);
+        const manual = Array.from({ length: config.backups.retentionCount + 2 }, (_, index) => take('manual', 100 - index));
+
+        const pruned = backups.pruneSnapshots(backupPath);
+
+        expect(pruned.sort()).toEqual(manual.slice(0, 2).sort());
+        const kept = backups.listSnapshots(backupPath).map(snapshot => snapshot.name);
+        expect(kept).toEqual(expect.arrayContaining([preMigration, scheduled, ...manual.slice(2)]));
+    });
+});
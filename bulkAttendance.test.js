@@ -0,0 +1,144 @@
+// tests/bulkAttendance.test.js
+// A floor roll call submitted in one request is recorded entirely or not at all.
+const { request, createTestApp, createDC, login } = require('./helpers');
+const { DatabaseManager } = require('../database');
+const { createStorage } = require('../database/storage');
+
+describe('Bulk attendance', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let dataPath;
+    let dcAuth;
+    let floor;
+
+    const submit = (entries, body = {}) => request(app).post('/api/attendance/bulk')
+        .set('Authorization', dcAuth)
+        .send({ entries, ...body });
+
+    const attendanceCount = () => dbManager.database.attendance.length;
+
+    beforeEach(async () => {
+        ({ app, dbManager, cleanup, dataPath } = createTestApp());
+        const dc = createDC(dbManager);
+        dcAuth = `Bearer ${(await login(app, dc.email)).token}`;
+        ['BK001', 'BK002', 'BK003'].forEach((rollNumber, index) => dbManager.createStudent({
+            name: `Student ${index}`, rollNumber, hostel: 'himgiri', floor: 'first', room: `20${index}`, present: false
+        }));
+        floor = dbManager.getStudentsByHostel('himgiri', 'first');
+    });
+
+    afterEach(() => cleanup());
+
+    test('every entry of the floor is recorded', async () => {
+        const entries = floor.map((student, index) => ({
+            studentId: student.id,
+            status: ['present', 'absent', 'leave'][index % 3]
+        }));
+
+        const res = await submit(entries);
+        expect(res.status).toBe(200);
+        expect(res.body.data.summary.total).toBe(floor.length);
+        expect(res.body.data.notMarked).toEqual([]);
+        expect(attendanceCount()).toBe(floor.length);
+
+        // Submitting again corrects the day's marks rather than adding to them
+        const again = await submit(entries.map(entry => ({ ...entry, status: 'present' })));
+        expect(again.status).toBe(200);
+        expect(attendanceCount()).toBe(floor.length);
+        expect(dbManager.database.attendance.every(record => record.present)).toBe(true);
+    });
+
+    test('one student from another floor rejects the whole request', async () => {
+        const elsewhere = dbManager.createStudent({
+            name: 'Elsewhere', rollNumber: 'BK099', hostel: 'himgiri', floor: 'second', room: '301', present: false
+        });
+
+        const presentBefore = floor.map(student => student.present);
+
+        const res = await submit([
+            ...floor.map(student => ({ studentId: student.id, status: 'present' })),
+            { studentId: elsewhere.id, status: 'present' }
+        ]);
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual([
+            expect.objectContaining({ field: `entries[${floor.length}].studentId` })
+        ]);
+        expect(attendanceCount()).toBe(0);
+        expect(dbManager.getStudentsByHostel('himgiri', 'first').map(student => student.present)).toEqual(presentBefore);
+    });
+
+    test('a student listed twice rejects the whole request', async () => {
+        const res = await submit([
+            { studentId: floor[0].id, status: 'present' },
+            { studentId: floor[1].id, status: 'present' },
+            { studentId: floor[0].id, status: 'absent' }
+        ]);
+        expect(res.status).toBe(400);
+        expect(attendanceCount()).toBe(0);
+    });
+
+    test('a roll call that does not take manual marks refuses every entry', async () => {
+        const opened = await request(app).post('/api/attendance/roll-calls').set('Authorization', dcAuth)
+            .send({ endsAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(), methods: ['qr_code'] });
+        expect(opened.status).toBe(201);
+
+        const res = await submit(floor.map(student => ({ studentId: student.id, status: 'present' })));
+        expect(res.status).toBe(400);
+        expect(attendanceCount()).toBe(0);
+    });
+
+    test('a DC cannot mark another floor', async () => {
+        const res = await submit([{ studentId: floor[0].id, status: 'present' }], { floor: 'second' });
+        expect(res.status).toBe(403);
+        expect(attendanceCount()).toBe(0);
+    });
+
+    test('when the present flags cannot be saved, the marks are not saved either', async () => {
+        const presentBefore = floor.map(student => student.present);
+        const appendJournal = dbManager.storage.appendJournal.bind(dbManager.storage);
+        const spy = jest.spyOn(dbManager.storage, 'appendJournal').mockImplementation((files) => {
+            if (files.some(({ file }) => file === 'students.json')) {
+                throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+            }
+            return appendJournal(files);
+        });
+
+        const res = await submit(floor.map(student => ({ studentId: student.id, status: 'present' })));
+        spy.mockRestore();
+        expect(res.status).toBe(500);
+        expect(attendanceCount()).toBe(0);
+        expect(dbManager.getStudentsByHostel('himgiri', 'first').map(student => student.present)).toEqual(presentBefore);
+
+        const restarted = new DatabaseManager({ storage: createStorage('json', { dataPath }), backupPath: dataPath });
+        try {
+            expect(restarted.database.attendance).toHaveLength(0);
+        } finally {
+            restarted.close();
+        }
+    });
+
+    test('marks and present flags survive a crash between their files together', async () => {
+        // The students file never reaches the disk, as if the process died after the marks
+        const writeFile = dbManager.storage.writeFileAtomic.bind(dbManager.storage);
+        const spy = jest.spyOn(dbManager.storage, 'writeFileAtomic').mockImplementation((filePath, content) => {
+            if (filePath.endsWith('students.json')) {
+                throw new Error('crashed');
+            }
+            return writeFile(filePath, content);
+        });
+
+        const res = await submit(floor.map(student => ({ studentId: student.id, status: 'present' })));
+        spy.mockRestore();
+        expect(res.status).toBe(200);
+
+        // A restarted server replays the journal and sees both halves of the batch
+        const restarted = new DatabaseManager({ storage: createStorage('json', { dataPath }), backupPath: dataPath });
+        try {
+            expect(restarted.database.attendance).toHaveLength(floor.length);
+            expect(restarted.getStudentsByHostel('himgiri', 'first').every(student => student.present)).toBe(true);
+        } finally {
+            restarted.close();
+        }
+    });
+});
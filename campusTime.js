@@ -0,0 +1,29 @@
+// utils/campusTime.js
+// Attendance days follow the campus clock (CAMPUS_TIMEZONE), not UTC, so a mark made at
+// 01:00 in Delhi belongs to that day even though UTC (19:30) is still on the previous one.
+// With Asia/Kolkata that moves every mark made between 00:00 and 05:30 campus time.
+const config = require('../config');
+
+const formatters = new Map();
+
+// en-CA writes dates as YYYY-MM-DD
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// The campus calendar day of an instant (now by default), as YYYY-MM-DD
+const campusDate = (date = new Date(), timeZone = config.attendance.timezone) => {
+    return formatterFor(timeZone).format(new Date(date));
+};
+
+module.exports = {
+    campusDate
+};
@@ -0,0 +1,232 @@
+// config/index.js
+// Typed configuration, read once at startup from the environment, an optional .env with
+// local overrides and DCconfiguration.env, all in the project root (the first source
+// that sets a variable wins). Every key documented in DCconfiguration.env is validated
+// here, and startup stops listing every malformed value. In production the server also
+// refuses to start with a missing or placeholder secret.
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+require('dotenv').config({ path: path.join(ROOT, '.env') });
+require('dotenv').config({ path: path.join(ROOT, 'DCconfiguration.env') });
+
+const NODE_ENVS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Values shipped in DCconfiguration.env and older code that must never protect a production deployment
+const PLACEHOLDER_PATTERN = /^your_|change_?(this|me|_in_production)|^dc_management_secret_key$/i;
+const MIN_SECRET_LENGTH = 32;
+
+// Durations as accepted by jsonwebtoken: a number of milliseconds or e.g. 30s, 15m, 24h, 7d
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DURATION_PATTERN = /^(\d+)\s*(ms|s|m|h|d)?$/;
+
+const parseDuration = (value) => {
+    const match = String(value).trim().match(DURATION_PATTERN);
+    return match ? parseInt(match[1]) * DURATION_UNITS[match[2] || 'ms'] : null;
+};
+
+const loadConfig = (env = process.env) => {
+    const problems = [];
+    const warnings = [];
+
+    // Read one variable as the given type. Empty values count as unset.
+    const read = (name, type, { fallback, min, max, values } = {}) => {
+        const raw = env[name] === undefined ? '' : String(env[name]).trim();
+        if (raw === '') {
+            return fallback;
+        }
+
+        const fail = (expected) => {
+            problems.push(`${name}=${JSON.stringify(raw)} is not ${expected}`);
+            return fallback;
+        };
+
+        switch (type) {
+            case 'integer':
+            case 'number': {
+                const value = Number(raw);
+                if (!Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+                    return fail(`a${type === 'integer' ? 'n integer' : ' number'}`);
+                }
+                if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                    return fail(`between ${min} and ${max === undefined ? 'infinity' : max}`);
+                }
+                return value;
+            }
+            case 'boolean':
+                if (raw !== 'true' && raw !== 'false') {
+                    return fail('true or false');
+                }
+                return raw === 'true';
+            case 'duration':
+                return parseDuration(raw) === null ? fail('a duration such as 30s, 15m, 24h or 7d') : raw;
+            case 'enum':
+                return values.includes(raw) ? raw : fail(`one of ${values.join(', ')}`);
+            case 'list':
+                return raw.split(',').map(item => item.trim()).filter(Boolean);
+            case 'path':
+                return path.resolve(ROOT, raw);
+            case 'timezone':
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: raw });
+                    return raw;
+                } catch (error) {
+                    return fail('an IANA time zone such as Asia/Kolkata');
+                }
+            case 'url':
+                try {
+                    new URL(raw);
+                    return raw.replace(/\/+$/, '');
+                } catch (error) {
+                    return fail('an absolute URL');
+                }
+            default:
+                return raw;
+        }
+    };
+
+    const nodeEnv = read('NODE_ENV', 'enum', { fallback: 'development', values: NODE_ENVS });
+    const isProduction = nodeEnv === 'production';
+
+    const config = {
+        env: nodeEnv,
+        isProduction,
+        port: read('PORT', 'integer', { fallback: 3000, min: 0, max: 65535 }),
+        appUrl: read('APP_URL', 'url', { fallback: 'http://localhost:3001' }),
+        corsOrigins: read('CORS_ORIGIN', 'list', { fallback: [] }),
+
+        auth: {
+            jwtSecret: read('JWT_SECRET', 'string'),
+            accessTokenExpiresIn: read('ACCESS_TOKEN_EXPIRES_IN', 'duration', { fallback: '15m' }),
+            refreshTokenTtlDays: read('REFRESH_TOKEN_TTL_DAYS', 'number', { fallback: 7, min: 0 }),
+            // Sessions with no activity for this long are logged out
+            sessionTimeout: read('SESSION_TIMEOUT', 'duration', { fallback: '24h' }),
+            passwordResetTtlMinutes: read('PASSWORD_RESET_TTL_MINUTES', 'integer', { fallback: 60, min: 1 }),
+            bcryptRounds: read('BCRYPT_ROUNDS', 'integer', { fallback: 10, min: 4, max: 31 }),
+            passwordPolicy: {
+                minLength: read('PASSWORD_MIN_LENGTH', 'integer', { fallback: 8, min: 1 }),
+                requireUppercase: read('PASSWORD_REQUIRE_UPPERCASE', 'boolean', { fallback: true }),
+                requireLowercase: read('PASSWORD_REQUIRE_LOWERCASE', 'boolean', { fallback: true }),
+                requireNumber: read('PASSWORD_REQUIRE_NUMBER', 'boolean', { fallback: true }),
+                requireSymbol: read('PASSWORD_REQUIRE_SYMBOL', 'boolean', { fallback: false })
+            },
+            lockoutPolicy: {
+                maxAttempts: read('LOGIN_MAX_ATTEMPTS', 'integer', { fallback: 5, min: 1 }),
+                baseMinutes: read('LOGIN_LOCKOUT_MINUTES', 'integer', { fallback: 15, min: 0 }),
+                maxMinutes: read('LOGIN_LOCKOUT_MAX_MINUTES', 'integer', { fallback: 24 * 60, min: 0 })
+            },
+            totpIssuer: read('TOTP_ISSUER', 'string', { fallback: 'DC Management' }),
+            totpEncryptionKey: read('TOTP_ENCRYPTION_KEY', 'string')
+        },
+
+        attendance: {
+            // Attendance dates and the midnight rollover follow this time zone
+            timezone: read('CAMPUS_TIMEZONE', 'timezone', { fallback: 'Asia/Kolkata' }),
+            qrSigningKey: read('ATTENDANCE_QR_SIGNING_KEY', 'string'),
+            qrTtlSeconds: read('ATTENDANCE_QR_TTL_SECONDS', 'integer', { fallback: 300, min: 10, max: 24 * 60 * 60 }),
+            requireRollCall: read('ATTENDANCE_REQUIRE_ROLL_CALL', 'boolean', { fallback: false }),
+            // Late marks are taken this long after a roll call ends; then it closes itself
+            rollCallGraceMinutes: read('ATTENDANCE_ROLL_CALL_GRACE_MINUTES', 'integer', { fallback: 15, min: 0, max: 24 * 60 })
+        },
+
+        admin: {
+            email: read('ADMIN_EMAIL', 'string'),
+            password: read('ADMIN_PASSWORD', 'string')
+        },
+
+        storage: {
+            client: read('DB_CLIENT', 'enum', { fallback: 'json', values: ['json', 'sqlite'] }),
+            sqlitePath: read('DB_SQLITE_PATH', 'path', { fallback: path.join(ROOT, 'data', 'dc_management.sqlite') }),
+            lockTimeoutMs: read('DATA_LOCK_TIMEOUT_MS', 'integer', { fallback: 10000, min: 0 }),
+            startEmptyOnCorruption: read('DATA_START_EMPTY_ON_CORRUPTION', 'boolean', { fallback: false })
+        },
+
+        // Reserved for a client/server database backend; not used by json or sqlite
+        database: {
+            host: read('DB_HOST', 'string'),
+            port: read('DB_PORT', 'integer', { min: 1, max: 65535 }),
+            name: read('DB_NAME', 'string'),
+            user: read('DB_USER', 'string'),
+            password: read('DB_PASSWORD', 'string')
+        },
+
+        backups: {
+            path: read('BACKUP_PATH', 'path', { fallback: path.join(ROOT, 'data', 'backups') }),
+            intervalHours: read('BACKUP_INTERVAL_HOURS', 'number', { fallback: 24, min: 0 }),
+            retentionCount: read('BACKUP_RETENTION_COUNT', 'integer', { fallback: 14, min: 1 }),
+            retentionDays: read('BACKUP_RETENTION_DAYS', 'number', { fallback: 30, min: 0 })
+        },
+
+        uploads: {
+            maxFileSize: read('MAX_FILE_SIZE', 'integer', { fallback: 5 * 1024 * 1024, min: 1 }),
+            allowedFileTypes: read('ALLOWED_FILE_TYPES', 'list', { fallback: ['jpeg', 'jpg', 'png', 'gif'] })
+                .map(type => type.toLowerCase().replace(/^\./, '')),
+            path: read('UPLOAD_PATH', 'path', { fallback: path.join(ROOT, 'uploads') })
+        },
+
+        email: {
+            transport: read('EMAIL_TRANSPORT', 'enum', { fallback: 'console', values: ['console', 'file', 'smtp'] }),
+            host: read('EMAIL_HOST', 'string'),
+            port: read('EMAIL_PORT', 'integer', { fallback: 587, min: 1, max: 65535 }),
+            user: read('EMAIL_USER', 'string'),
+            password: read('EMAIL_PASSWORD', 'string'),
+            from: read('EMAIL_FROM', 'string'),
+            outboxPath: read('EMAIL_OUTBOX_PATH', 'path', { fallback: path.join(ROOT, 'outbox') })
+        },
+
+        logging: {
+            level: read('LOG_LEVEL', 'enum', { fallback: 'info', values: LOG_LEVELS }),
+            file: read('LOG_FILE', 'path')
+        }
+    };
+
+    config.auth.sessionTimeoutMs = parseDuration(config.auth.sessionTimeout);
+    config.email.from = config.email.from || config.email.user || 'no-reply@localhost';
+
+    const isPlaceholder = (value) => PLACEHOLDER_PATTERN.test(value);
+
+    if (isProduction) {
+        if (!config.auth.jwtSecret) {
+            problems.push('JWT_SECRET must be set in production');
+        } else if (isPlaceholder(config.auth.jwtSecret) || config.auth.jwtSecret.length < MIN_SECRET_LENGTH) {
+            problems.push(`JWT_SECRET is a placeholder or shorter than ${MIN_SECRET_LENGTH} characters; ` +
+                'generate one with: node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'hex\'))"');
+        }
+        if (config.auth.totpEncryptionKey && isPlaceholder(config.auth.totpEncryptionKey)) {
+            problems.push('TOTP_ENCRYPTION_KEY is still the placeholder value; set a random key or leave it empty to use JWT_SECRET');
+        }
+        if (config.attendance.qrSigningKey && isPlaceholder(config.attendance.qrSigningKey)) {
+            problems.push('ATTENDANCE_QR_SIGNING_KEY is still the placeholder value; set a random key or leave it empty to use JWT_SECRET');
+        }
+        if (config.admin.password && isPlaceholder(config.admin.password)) {
+            problems.push('ADMIN_PASSWORD is still a placeholder value');
+        }
+        if (config.email.transport === 'smtp' && (!config.email.password || isPlaceholder(config.email.password))) {
+            problems.push('EMAIL_PASSWORD must be set to the SMTP password when EMAIL_TRANSPORT=smtp');
+        }
+    } else if (!config.auth.jwtSecret) {
+        // Tokens signed with a per-process secret stop working on restart and are not
+        // accepted by other processes sharing the data
+        config.auth.jwtSecret = crypto.randomBytes(48).toString('hex');
+        warnings.push('JWT_SECRET is not set; using a random secret, so logins end when the server restarts');
+    }
+
+    if (config.auth.lockoutPolicy.maxMinutes < config.auth.lockoutPolicy.baseMinutes) {
+        problems.push('LOGIN_LOCKOUT_MAX_MINUTES must not be lower than LOGIN_LOCKOUT_MINUTES');
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        error.code = 'ECONFIG';
+        error.problems = problems;
+        throw error;
+    }
+
+    warnings.forEach(warning => console.warn(`Configuration warning: ${warning}`));
+    return config;
+};
+
+module.exports = loadConfig();
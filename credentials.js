@@ -0,0 +1,77 @@
+// utils/credentials.js
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+
+const BCRYPT_ROUNDS = config.auth.bcryptRounds;
+
+// Password strength policy (PASSWORD_* settings)
+const passwordPolicy = config.auth.passwordPolicy;
+
+// Failed-login lockout policy: after maxAttempts failures the account is locked for
+// baseMinutes, doubling with every further failure up to maxMinutes
+const lockoutPolicy = config.auth.lockoutPolicy;
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const hashPasswordSync = (password) => bcrypt.hashSync(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+// True when a stored hash was created with a different cost than BCRYPT_ROUNDS
+const needsRehash = (hash) => bcrypt.getRounds(hash) !== BCRYPT_ROUNDS;
+
+// Returns the list of unmet requirements (empty when the password is acceptable)
+const validatePassword = (password, { email, name } = {}) => {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < passwordPolicy.minLength) {
+        errors.push(`Password must be at least ${passwordPolicy.minLength} characters long`);
+        return errors;
+    }
+
+    if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push('Password must contain an uppercase letter');
+    }
+
+    if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push('Password must contain a lowercase letter');
+    }
+
+    if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+        errors.push('Password must contain a number');
+    }
+
+    if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        errors.push('Password must contain a symbol');
+    }
+
+    const lowered = password.toLowerCase();
+    const emailName = email && email.split('@')[0].toLowerCase();
+    if ((emailName && emailName.length >= 3 && lowered.includes(emailName)) ||
+        (name && name.length >= 3 && lowered.includes(name.toLowerCase()))) {
+        errors.push('Password must not contain your name or email address');
+    }
+
+    return errors;
+};
+
+// Lock duration in milliseconds for the given number of consecutive failures (0 if not locked)
+const getLockoutDuration = (failedAttempts) => {
+    if (failedAttempts < lockoutPolicy.maxAttempts) {
+        return 0;
+    }
+    const minutes = lockoutPolicy.baseMinutes * Math.pow(2, failedAttempts - lockoutPolicy.maxAttempts);
+    return Math.min(minutes, lockoutPolicy.maxMinutes) * 60 * 1000;
+};
+
+module.exports = {
+    BCRYPT_ROUNDS,
+    passwordPolicy,
+    lockoutPolicy,
+    hashPassword,
+    hashPasswordSync,
+    verifyPassword,
+    needsRehash,
+    validatePassword,
+    getLockoutDuration
+};
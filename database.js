@@ -1,63 +1,332 @@
 // database/index.js
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { hashPasswordSync } = require('../utils/credentials');
+const { campusDate } = require('../utils/campusTime');
+const { COLLECTIONS, createStorage } = require('./storage');
+const { runMigrations } = require('./migrations');
+const integrity = require('./integrity');
+const backups = require('./backups');
 
-class DatabaseManager {
-    constructor() {
-        this.dataPath = path.join(__dirname, '..', 'data');
-        this.ensureDataDirectory();
-        this.initializeDatabase();
+const LOGIN_AUDIT_RETENTION_DAYS = 90;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const ATTENDANCE_UPKEEP_INTERVAL_MS = 60 * 1000;
+
+// Open roll calls close on their own once their grace period is over
+const rollCallCloseTime = (rollCall) =>
+    new Date(rollCall.endsAt).getTime() + config.attendance.rollCallGraceMinutes * 60 * 1000;
+
+// When an attendance row last changed
+const markedAt = (record) => new Date(record.updatedAt || record.createdAt).getTime();
+
+// Overwrite an attendance row with a newer mark of the same student
+const updateAttendanceRecord = (record, mark) => {
+    record.present = mark.present;
+    record.method = mark.method;
+    if (record.rollCallId) {
+        record.late = Boolean(mark.late);
     }
+    if (mark.onLeave || record.onLeave) {
+        record.onLeave = Boolean(mark.onLeave);
+    }
+    record.updatedAt = new Date();
+};
 
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataPath)) {
-            fs.mkdirSync(this.dataPath, { recursive: true });
-        }
+// Login and key state is left alone by a restore unless asked for explicitly: restoring it
+// would bring back revoked sessions, tokens and API keys
+const RESTORE_EXCLUDED_COLLECTIONS = ['sessions', 'refreshTokens', 'revokedTokens', 'loginAudit', 'apiKeys', 'usedQrCodes'];
+
+class DatabaseManager {
+    // storage is a backend from ./storage (JSON files or SQLite, chosen by DB_CLIENT) and
+    // backupPath the directory for its snapshots; tests pass their own to work on an
+    // isolated data directory. Several server processes may share a storage: every change
+    // runs in transaction(), and refresh() picks up what the other processes wrote.
+    constructor({ storage = createStorage(), backupPath = backups.BACKUP_PATH } = {}) {
+        this.storage = storage;
+        this.backupPath = backupPath;
+        this.timers = [];
+        this.storage.lock(() => {
+            this.initializeDatabase();
+            this.migrateSchema();
+            this.ensureAdminAccount();
+        });
+        this.reportIntegrity();
     }
 
     initializeDatabase() {
         this.database = {
-            dcs: this.loadData('dcs.json', []),
-            students: this.loadData('students.json', this.getDefaultStudents()),
-            complaints: this.loadData('complaints.json', this.getDefaultComplaints()),
-            ironBorrowing: this.loadData('ironBorrowing.json', this.getDefaultIrons()),
-            attendance: this.loadData('attendance.json', []),
+            dcs: this.storage.load('dcs', []),
+            students: this.storage.load('students', this.getDefaultStudents()),
+            complaints: this.storage.load('complaints', this.getDefaultComplaints()),
+            ironBorrowing: this.storage.load('ironBorrowing', this.getDefaultIrons()),
+            attendance: this.storage.load('attendance', []),
+            rollCalls: this.storage.load('rollCalls', []),
+            attendanceDays: this.storage.load('attendanceDays', []),
+            sessions: this.storage.load('sessions', []),
+            refreshTokens: this.storage.load('refreshTokens', []),
+            revokedTokens: this.storage.load('revokedTokens', []),
+            loginAudit: this.storage.load('loginAudit', []),
+            apiKeys: this.storage.load('apiKeys', []),
+            usedQrCodes: this.storage.load('usedQrCodes', []),
+            hostelSettings: this.storage.load('hostelSettings', {}),
+            meta: this.storage.load('meta', {}),
             hostels: this.getHostelData()
         };
     }
 
-    loadData(filename, defaultData) {
-        const filePath = path.join(this.dataPath, filename);
-        try {
-            if (fs.existsSync(filePath)) {
-                const data = fs.readFileSync(filePath, 'utf8');
-                return JSON.parse(data);
-            } else {
-                this.saveData(filename, defaultData);
-                return defaultData;
+    // Bring the stored data up to the current schema. A failing migration stops startup
+    // (see ./migrations); storage errors while saving the result are not swallowed either.
+    migrateSchema() {
+        const result = runMigrations(this.database, { backupPath: this.backupPath });
+        if (!result) {
+            return;
+        }
+
+        Object.assign(this.database, result.data);
+        this.storage.flush(this.database);
+
+        const applied = result.applied.map(migration => `${migration.version} (${migration.name})`).join(', ');
+        console.log(`Applied schema migrations ${applied}; previous data saved in snapshot ${result.snapshot.name}`);
+    }
+
+    // Bootstrap the first admin from ADMIN_EMAIL/ADMIN_PASSWORD when no admin exists
+    ensureAdminAccount() {
+        const { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } = config.admin;
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD || this.database.dcs.some(dc => dc.role === 'admin')) {
+            return;
+        }
+
+        const existing = this.database.dcs.find(dc => dc.email === ADMIN_EMAIL);
+        if (existing) {
+            this.updateDC(existing.id, { role: 'admin', isActive: true, approvalStatus: 'approved', emailVerified: true });
+            return;
+        }
+
+        this.createDC({
+            name: 'Administrator',
+            email: ADMIN_EMAIL,
+            employeeId: 'ADMIN',
+            contact: '',
+            password: hashPasswordSync(ADMIN_PASSWORD),
+            hostelType: '',
+            specificHostel: '',
+            floor: '',
+            assignedDC: '',
+            profilePic: null,
+            role: 'admin',
+            isActive: true,
+            approvalStatus: 'approved',
+            emailVerified: true
+        });
+    }
+
+    // Run a read-modify-write while holding the storage lock, starting from the latest
+    // stored data, so concurrent processes never overwrite each other's changes
+    transaction(fn) {
+        return this.storage.lock(() => {
+            this.refresh();
+            return fn();
+        });
+    }
+
+    // Reload the collections another process has written since this one last read or
+    // wrote them. Cheap when nothing changed, so it runs before every request.
+    refresh() {
+        this.storage.changedCollections().forEach(collection => {
+            this.database[collection] = this.storage.load(collection, COLLECTIONS[collection].type === 'map' ? {} : []);
+        });
+    }
+
+    // Monotonic ids per collection, kept in meta.sequences so an id is never handed out
+    // twice, even after records are deleted. With count, that many consecutive ids are
+    // reserved at once and the first is returned.
+    nextId(collection, count = 1) {
+        const sequences = this.database.meta.sequences = this.database.meta.sequences || {};
+        sequences[collection] = (sequences[collection] || 0) + count;
+        this.saveRecords('meta', { sequences });
+        return sequences[collection] - count + 1;
+    }
+
+    // Report dangling references and, with repair, fix them (see ./integrity)
+    checkIntegrity({ repair = false } = {}) {
+        if (!repair) {
+            return integrity.checkIntegrity(this.database);
+        }
+
+        return this.transaction(() => {
+            const report = integrity.checkIntegrity(this.database, { repair });
+            report.changed.forEach(collection => this.replaceCollection(collection));
+            return report;
+        });
+    }
+
+    // Problems found on startup are only logged; repairing them is an admin decision
+    reportIntegrity() {
+        const report = integrity.checkIntegrity(this.database);
+        if (report.issueCount > 0) {
+            const summary = report.checks
+                .filter(result => result.issues.length > 0)
+                .map(result => `${result.check}: ${result.issues.length}`)
+                .join(', ');
+            console.warn(`Data integrity check found ${report.issueCount} issue(s) (${summary}); ` +
+                'see GET /api/admin/integrity');
+        }
+    }
+
+    // Snapshot every persisted collection (see ./backups)
+    createSnapshot(reason = 'manual') {
+        return this.transaction(() => backups.createSnapshot(this.database, { reason, backupPath: this.backupPath }));
+    }
+
+    listSnapshots() {
+        return backups.listSnapshots(this.backupPath);
+    }
+
+    // File of a snapshot by name, or null when there is no such snapshot
+    snapshotPath(name) {
+        return backups.snapshotPath(name, this.backupPath);
+    }
+
+    // Every process runs the schedule, so a snapshot is skipped when another process took
+    // one recently
+    createScheduledSnapshot() {
+        return this.transaction(() => {
+            const latest = this.listSnapshots().find(snapshot => snapshot.reason === 'scheduled');
+            if (latest && Date.now() - latest.createdAt.getTime() < backups.BACKUP_INTERVAL_MS / 2) {
+                return null;
             }
+
+            const snapshot = backups.createSnapshot(this.database, { reason: 'scheduled', backupPath: this.backupPath });
+            backups.pruneSnapshots(this.backupPath);
+            return snapshot;
+        });
+    }
+
+    // Replace collections with their contents in a snapshot and reload them in memory.
+    // A pre-restore snapshot is taken first; snapshots from an older schema are migrated.
+    // Sequences never move backwards, so ids issued since the snapshot are not reused.
+    restoreSnapshot(name, collections = null) {
+        return this.transaction(() => {
+            const snapshot = backups.readSnapshot(name, this.backupPath);
+            if (!snapshot) {
+                return null;
+            }
+
+            const restoring = (collections || Object.keys(COLLECTIONS)
+                .filter(collection => collection !== 'meta' && !RESTORE_EXCLUDED_COLLECTIONS.includes(collection)))
+                .filter(collection => snapshot.collections[collection] !== undefined);
+
+            const safetySnapshot = backups.createSnapshot(this.database, { reason: 'pre-restore', backupPath: this.backupPath });
+
+            const currentSequences = this.database.meta.sequences || {};
+            const restored = { ...this.database };
+            restoring.forEach(collection => {
+                restored[collection] = snapshot.collections[collection];
+            });
+            restored.meta = {
+                ...this.database.meta,
+                schema: (snapshot.collections.meta || {}).schema
+            };
+
+            const migration = runMigrations(restored, { backup: false });
+            const data = migration ? { ...restored, ...migration.data } : restored;
+
+            const sequences = { ...data.meta.sequences };
+            Object.keys(currentSequences).forEach(collection => {
+                sequences[collection] = Math.max(sequences[collection] || 0, currentSequences[collection]);
+            });
+            data.meta = { ...data.meta, sequences };
+
+            this.storage.flush(data);
+            this.database = { ...data, hostels: this.getHostelData() };
+
+            return {
+                snapshot: name,
+                restored: restoring,
+                safetySnapshot: safetySnapshot.name,
+                migrations: migration ? migration.applied.map(m => m.version) : []
+            };
+        });
+    }
+
+    // Persist changed records. Failures are logged rather than thrown: memory already
+    // holds the change and the next autosave retries it.
+    saveRecords(collection, records) {
+        try {
+            this.storage.save(collection, records, this.database[collection]);
         } catch (error) {
-            console.error(`Error loading ${filename}:`, error);
-            return defaultData;
+            console.error(`Error saving ${collection}:`, error);
         }
     }
 
-    saveData(filename, data) {
-        const filePath = path.join(this.dataPath, filename);
+    // Persist changes to several collections together ([{ collection, records }]). Unlike
+    // saveRecords this throws when nothing could be saved, so the caller can undo its
+    // in-memory changes.
+    saveBatch(changes) {
+        this.storage.saveBatch(changes.map(({ collection, records }) => ({
+            collection,
+            records,
+            data: this.database[collection]
+        })));
+    }
+
+    // Persist a collection that was rebuilt rather than changed in place (e.g. pruned)
+    replaceCollection(collection) {
         try {
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.storage.replace(collection, this.database[collection]);
         } catch (error) {
-            console.error(`Error saving ${filename}:`, error);
+            console.error(`Error saving ${collection}:`, error);
         }
     }
 
-    // Save all data to files
+    // Save all data to storage. Collections other processes changed are reloaded first
+    // rather than overwritten with this process's older copy.
     saveAll() {
-        this.saveData('dcs.json', this.database.dcs);
-        this.saveData('students.json', this.database.students);
-        this.saveData('complaints.json', this.database.complaints);
-        this.saveData('ironBorrowing.json', this.database.ironBorrowing);
-        this.saveData('attendance.json', this.database.attendance);
+        try {
+            this.transaction(() => this.storage.flush(this.database));
+        } catch (error) {
+            console.error('Error saving data:', error);
+        }
+    }
+
+    // Background upkeep for a serving instance: autosave with token pruning every 5 minutes,
+    // closing expired roll calls and the attendance rollover at campus midnight (checked
+    // every minute, so a server that was down catches up when it starts) and scheduled
+    // snapshots (BACKUP_INTERVAL_HOURS=0 turns them off)
+    startMaintenance() {
+        this.rolloverAttendanceDay();
+        this.closeExpiredRollCalls();
+        this.timers.push(setInterval(() => {
+            try {
+                this.closeExpiredRollCalls();
+                this.rolloverAttendanceDay();
+            } catch (error) {
+                console.error('Attendance upkeep error:', error);
+            }
+        }, ATTENDANCE_UPKEEP_INTERVAL_MS));
+
+        this.timers.push(setInterval(() => {
+            this.pruneExpiredTokens();
+            this.saveAll();
+        }, 5 * 60 * 1000));
+
+        if (backups.BACKUP_INTERVAL_MS > 0) {
+            this.timers.push(setInterval(() => {
+                try {
+                    this.createScheduledSnapshot();
+                } catch (error) {
+                    console.error('Scheduled snapshot error:', error);
+                }
+            }, backups.BACKUP_INTERVAL_MS));
+        }
+    }
+
+    // Stop the upkeep, save everything and release the storage
+    close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.saveAll();
+        this.storage.close();
     }
 
     getDefaultStudents() {
@@ -147,15 +416,20 @@ class DatabaseManager {
 
     // CRUD operations for DCs
     createDC(dcData) {
-        const newDC = {
-            id: this.database.dcs.length + 1,
-            ...dcData,
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
-        this.database.dcs.push(newDC);
-        this.saveData('dcs.json', this.database.dcs);
-        return newDC;
+        return this.transaction(() => {
+            // New registrations start pending and unverified unless stated otherwise
+            const newDC = {
+                id: this.nextId('dcs'),
+                approvalStatus: 'pending',
+                emailVerified: false,
+                ...dcData,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            this.database.dcs.push(newDC);
+            this.saveRecords('dcs', [newDC]);
+            return newDC;
+        });
     }
 
     getDCById(id) {
@@ -163,29 +437,69 @@ class DatabaseManager {
     }
 
     updateDC(id, updateData) {
-        const dcIndex = this.database.dcs.findIndex(dc => dc.id === id);
-        if (dcIndex !== -1) {
-            this.database.dcs[dcIndex] = {
-                ...this.database.dcs[dcIndex],
+        return this.transaction(() => {
+            const dcIndex = this.database.dcs.findIndex(dc => dc.id === id);
+            if (dcIndex !== -1) {
+                this.database.dcs[dcIndex] = {
+                    ...this.database.dcs[dcIndex],
+                    ...updateData,
+                    updatedAt: new Date()
+                };
+                this.saveRecords('dcs', [this.database.dcs[dcIndex]]);
+                return this.database.dcs[dcIndex];
+            }
+            return null;
+        });
+    }
+
+    // Find where a hostel lives in getHostelData(), e.g. 'himgiri' -> { type: 'boys', hostel }
+    findHostel(specificHostel) {
+        for (const [type, hostels] of Object.entries(this.database.hostels)) {
+            if (hostels[specificHostel]) {
+                return { type, hostel: hostels[specificHostel] };
+            }
+        }
+        return null;
+    }
+
+    // Per-hostel settings, keyed by specificHostel
+    getHostelSettings(hostel) {
+        return {
+            requireTwoFactor: false,
+            ...this.database.hostelSettings[hostel]
+        };
+    }
+
+    updateHostelSettings(hostel, updateData) {
+        return this.transaction(() => {
+            this.database.hostelSettings[hostel] = {
+                ...this.getHostelSettings(hostel),
                 ...updateData,
                 updatedAt: new Date()
             };
-            this.saveData('dcs.json', this.database.dcs);
-            return this.database.dcs[dcIndex];
-        }
-        return null;
+            this.saveRecords('hostelSettings', { [hostel]: this.database.hostelSettings[hostel] });
+            return this.database.hostelSettings[hostel];
+        });
+    }
+
+    // Wardens can make 2FA mandatory for the DCs in their hostel
+    isTwoFactorRequired(dc) {
+        return (dc.role || 'dc') === 'dc' && Boolean(dc.specificHostel) &&
+            this.getHostelSettings(dc.specificHostel).requireTwoFactor === true;
     }
 
     // CRUD operations for Students
     createStudent(studentData) {
-        const newStudent = {
-            id: this.database.students.length + 1,
-            ...studentData,
-            createdAt: new Date()
-        };
-        this.database.students.push(newStudent);
-        this.saveData('students.json', this.database.students);
-        return newStudent;
+        return this.transaction(() => {
+            const newStudent = {
+                id: this.nextId('students'),
+                ...studentData,
+                createdAt: new Date()
+            };
+            this.database.students.push(newStudent);
+            this.saveRecords('students', [newStudent]);
+            return newStudent;
+        });
     }
 
     getStudentsByHostel(hostel, floor = null) {
@@ -195,90 +509,626 @@ class DatabaseManager {
     }
 
     updateStudentAttendance(studentId, present) {
-        const student = this.database.students.find(s => s.id === studentId);
-        if (student) {
-            student.present = present;
-            this.saveData('students.json', this.database.students);
-        }
-        return student;
+        return this.transaction(() => {
+            const student = this.database.students.find(s => s.id === studentId);
+            if (student) {
+                student.present = present;
+                this.saveRecords('students', [student]);
+            }
+            return student;
+        });
+    }
+
+    // Retire the student's current attendance pass; the caller signs the new one
+    renewAttendancePass(studentId) {
+        return this.transaction(() => {
+            const student = this.database.students.find(s => s.id === studentId);
+            if (student) {
+                student.attendancePassVersion = (student.attendancePassVersion || 0) + 1;
+                this.saveRecords('students', [student]);
+            }
+            return student;
+        });
     }
 
     // CRUD operations for Complaints
     createComplaint(complaintData) {
-        const newComplaint = {
-            id: this.database.complaints.length + 1,
-            ...complaintData,
-            timestamp: new Date(),
-            status: 'Open'
-        };
-        this.database.complaints.push(newComplaint);
-        this.saveData('complaints.json', this.database.complaints);
-        return newComplaint;
+        return this.transaction(() => {
+            const newComplaint = {
+                id: this.nextId('complaints'),
+                ...complaintData,
+                timestamp: new Date(),
+                status: 'Open'
+            };
+            this.database.complaints.push(newComplaint);
+            this.saveRecords('complaints', [newComplaint]);
+            return newComplaint;
+        });
     }
 
     updateComplaintStatus(id, status) {
-        const complaint = this.database.complaints.find(c => c.id === id);
-        if (complaint) {
-            complaint.status = status;
-            complaint.updatedAt = new Date();
-            this.saveData('complaints.json', this.database.complaints);
-        }
-        return complaint;
+        return this.transaction(() => {
+            const complaint = this.database.complaints.find(c => c.id === id);
+            if (complaint) {
+                complaint.status = status;
+                complaint.updatedAt = new Date();
+                this.saveRecords('complaints', [complaint]);
+            }
+            return complaint;
+        });
     }
 
     // CRUD operations for Iron Borrowing
     borrowIron(ironId, borrowerData) {
-        const iron = this.database.ironBorrowing.find(i => i.ironId === ironId);
-        if (iron && iron.available) {
-            iron.available = false;
-            iron.borrowedBy = borrowerData.borrowerName;
-            iron.borrowedAt = new Date();
-            iron.returnBy = new Date(Date.now() + (borrowerData.duration || 4) * 60 * 60 * 1000);
-            iron.room = borrowerData.room;
-            this.saveData('ironBorrowing.json', this.database.ironBorrowing);
-        }
-        return iron;
+        return this.transaction(() => {
+            const iron = this.database.ironBorrowing.find(i => i.ironId === ironId);
+            if (iron && iron.available) {
+                iron.available = false;
+                iron.borrowedBy = borrowerData.borrowerName;
+                iron.borrowedAt = new Date();
+                iron.returnBy = new Date(Date.now() + (borrowerData.duration || 4) * 60 * 60 * 1000);
+                iron.room = borrowerData.room;
+                this.saveRecords('ironBorrowing', [iron]);
+            }
+            return iron;
+        });
     }
 
     returnIron(ironId) {
-        const iron = this.database.ironBorrowing.find(i => i.ironId === ironId);
-        if (iron && !iron.available) {
-            iron.available = true;
-            iron.borrowedBy = null;
-            iron.borrowedAt = null;
-            iron.returnBy = null;
-            iron.room = null;
-            this.saveData('ironBorrowing.json', this.database.ironBorrowing);
-        }
-        return iron;
+        return this.transaction(() => {
+            const iron = this.database.ironBorrowing.find(i => i.ironId === ironId);
+            if (iron && !iron.available) {
+                iron.available = true;
+                iron.borrowedBy = null;
+                iron.borrowedAt = null;
+                iron.returnBy = null;
+                iron.room = null;
+                this.saveRecords('ironBorrowing', [iron]);
+            }
+            return iron;
+        });
     }
 
-    // Attendance operations
+    // Attendance operations. A student has one row per day, plus one per roll call
+    // (rollCallId) they were marked in; marking again updates that row.
     recordAttendance(attendanceData) {
-        const today = new Date().toISOString().split('T')[0];
-        const existingAttendance = this.database.attendance.find(
-            a => a.studentId === attendanceData.studentId && a.date === today
+        return this.transaction(() => {
+            const today = campusDate();
+            let record = this.findAttendanceRecord(attendanceData.studentId, attendanceData.rollCallId, today);
+
+            if (record) {
+                updateAttendanceRecord(record, attendanceData);
+            } else {
+                record = this.buildAttendanceRecord(this.nextId('attendance'), attendanceData, today);
+                this.database.attendance.push(record);
+            }
+
+            this.saveRecords('attendance', [record]);
+            return this.database.attendance;
+        });
+    }
+
+    // Record the marks of many students at once (e.g. a whole floor), updating their
+    // present flags too. The marks and flags are saved in one batch; when that fails the
+    // in-memory changes are undone and the error is thrown. Returns { record, created }
+    // per mark.
+    recordAttendanceBatch(marks) {
+        return this.transaction(() => {
+            const today = campusDate();
+            const existing = marks.map(mark => this.findAttendanceRecord(mark.studentId, mark.rollCallId, today));
+            const newCount = existing.filter(record => !record).length;
+            let nextId = newCount > 0 ? this.nextId('attendance', newCount) : null;
+
+            const attendanceCount = this.database.attendance.length;
+            const previousRecords = existing.filter(Boolean).map(record => ({ record, values: { ...record } }));
+            const previousFlags = this.database.students
+                .filter(student => marks.some(mark => mark.studentId === student.id))
+                .map(student => ({ student, present: student.present }));
+
+            const results = marks.map((mark, index) => {
+                if (existing[index]) {
+                    updateAttendanceRecord(existing[index], mark);
+                    return { record: existing[index], created: false };
+                }
+                const record = this.buildAttendanceRecord(nextId++, mark, today);
+                this.database.attendance.push(record);
+                return { record, created: true };
+            });
+
+            const students = marks
+                .map(mark => {
+                    const student = this.database.students.find(s => s.id === mark.studentId);
+                    if (student) {
+                        student.present = mark.present;
+                    }
+                    return student;
+                })
+                .filter(Boolean);
+
+            try {
+                this.saveBatch([
+                    { collection: 'attendance', records: results.map(result => result.record) },
+                    { collection: 'students', records: students }
+                ]);
+            } catch (error) {
+                this.database.attendance.length = attendanceCount;
+                previousRecords.forEach(({ record, values }) => {
+                    Object.keys(record).forEach(key => delete record[key]);
+                    Object.assign(record, values);
+                });
+                previousFlags.forEach(({ student, present }) => {
+                    student.present = present;
+                });
+                throw error;
+            }
+            return results;
+        });
+    }
+
+    // The row a mark goes to: the student's row of the roll call, or of the day outside one
+    findAttendanceRecord(studentId, rollCallId, date) {
+        return this.database.attendance.find(a => a.studentId === studentId && (rollCallId
+            ? a.rollCallId === rollCallId
+            : a.date === date && !a.rollCallId));
+    }
+
+    buildAttendanceRecord(id, attendanceData, today) {
+        return {
+            id,
+            ...attendanceData,
+            date: today,
+            createdAt: new Date()
+        };
+    }
+
+    getAttendanceByDate(date) {
+        return this.database.attendance.filter(a => a.date === date);
+    }
+
+    // Students whose latest mark of a day says present
+    getPresentStudentIds(date) {
+        const latest = new Map();
+        this.getAttendanceByDate(date).forEach(record => {
+            const current = latest.get(record.studentId);
+            if (!current || markedAt(record) >= markedAt(current)) {
+                latest.set(record.studentId, record);
+            }
+        });
+        return new Set([...latest.values()].filter(record => record.present).map(record => record.studentId));
+    }
+
+    // Start a new attendance day once the campus date changes: the day that ended is
+    // archived and every student's present flag is reset to what today's marks say
+    // (normally nothing yet). Returns the archived day, or null when the day is unchanged.
+    rolloverAttendanceDay() {
+        const today = campusDate();
+        if (this.database.meta.attendanceDay === today) {
+            return null;
+        }
+
+        return this.transaction(() => {
+            const previousDay = this.database.meta.attendanceDay;
+            if (previousDay === today) {
+                return null;
+            }
+
+            const archived = previousDay ? this.archiveAttendanceDay(previousDay) : null;
+
+            const present = this.getPresentStudentIds(today);
+            const changed = this.database.students.filter(student => Boolean(student.present) !== present.has(student.id));
+            changed.forEach(student => {
+                student.present = present.has(student.id);
+            });
+            if (changed.length > 0) {
+                this.saveRecords('students', changed);
+            }
+
+            this.database.meta.attendanceDay = today;
+            this.saveRecords('meta', { attendanceDay: today });
+            return archived;
+        });
+    }
+
+    // Keep the totals of a day per floor, as the students were placed when it ended
+    archiveAttendanceDay(date) {
+        const present = this.getPresentStudentIds(date);
+        const floors = new Map();
+        this.database.students.forEach(student => {
+            const key = `${student.hostel}/${student.floor}`;
+            const floor = floors.get(key) || { hostel: student.hostel, floor: student.floor, totalStudents: 0, present: 0 };
+            floor.totalStudents++;
+            if (present.has(student.id)) {
+                floor.present++;
+            }
+            floors.set(key, floor);
+        });
+
+        const totalStudents = this.database.students.length;
+        const presentCount = this.database.students.filter(student => present.has(student.id)).length;
+        const day = {
+            date,
+            timezone: config.attendance.timezone,
+            totalStudents,
+            present: presentCount,
+            absent: totalStudents - presentCount,
+            floors: [...floors.values()],
+            archivedAt: new Date()
+        };
+
+        this.database.attendanceDays = this.database.attendanceDays.filter(d => d.date !== date).concat(day);
+        this.saveRecords('attendanceDays', [day]);
+        return day;
+    }
+
+    // Roll calls. A floor has at most one open roll call; returns null when one already is.
+    // One whose window and grace period are over is closed first.
+    openRollCall(rollCallData) {
+        return this.transaction(() => {
+            this.closeExpiredRollCalls();
+            if (this.findOpenRollCall(rollCallData.hostel, rollCallData.floor)) {
+                return null;
+            }
+
+            const newRollCall = {
+                id: this.nextId('rollCalls'),
+                ...rollCallData,
+                status: 'open',
+                closedAt: null,
+                closedBy: null,
+                summary: null,
+                createdAt: new Date()
+            };
+            this.database.rollCalls.push(newRollCall);
+            this.saveRecords('rollCalls', [newRollCall]);
+            return newRollCall;
+        });
+    }
+
+    getRollCall(id) {
+        return this.database.rollCalls.find(r => r.id === id);
+    }
+
+    findOpenRollCall(hostel, floor) {
+        return this.database.rollCalls.find(r => r.status === 'open' && r.hostel === hostel && r.floor === floor);
+    }
+
+    // The open roll call marks on a floor go to right now: started, and not past its end
+    // plus ATTENDANCE_ROLL_CALL_GRACE_MINUTES (marks in the grace period are late)
+    findActiveRollCall(hostel, floor, now = Date.now()) {
+        const rollCall = this.findOpenRollCall(hostel, floor);
+        if (!rollCall || now < new Date(rollCall.startsAt).getTime() || now > rollCallCloseTime(rollCall)) {
+            return null;
+        }
+        return rollCall;
+    }
+
+    getRollCallAttendance(id) {
+        return this.database.attendance.filter(a => a.rollCallId === id);
+    }
+
+    // Finalize a roll call: everyone on its floor who was not marked is recorded absent
+    closeRollCall(id, closedBy) {
+        return this.transaction(() => {
+            const rollCall = this.getRollCall(id);
+            if (rollCall && rollCall.status === 'open') {
+                this.finalizeRollCall(rollCall, closedBy);
+            }
+            return rollCall;
+        });
+    }
+
+    // Close the roll calls whose grace period is over (closedBy stays null). Run every
+    // minute by startMaintenance.
+    closeExpiredRollCalls() {
+        const now = Date.now();
+        if (!this.database.rollCalls.some(r => r.status === 'open' && rollCallCloseTime(r) < now)) {
+            return [];
+        }
+
+        return this.transaction(() => {
+            const expired = this.database.rollCalls.filter(r => r.status === 'open' && rollCallCloseTime(r) < now);
+            expired.forEach(rollCall => this.finalizeRollCall(rollCall, null));
+            return expired;
+        });
+    }
+
+    finalizeRollCall(rollCall, closedBy) {
+        const now = new Date();
+        const marked = new Set(this.getRollCallAttendance(rollCall.id).map(a => a.studentId));
+        const absentees = this.getStudentsByHostel(rollCall.hostel, rollCall.floor).filter(s => !marked.has(s.id));
+        let nextId = absentees.length > 0 ? this.nextId('attendance', absentees.length) : null;
+        const absences = absentees.map(student => ({
+            id: nextId++,
+            studentId: student.id,
+            present: false,
+            method: 'roll_call',
+            rollCallId: rollCall.id,
+            late: false,
+            date: campusDate(now),
+            createdAt: now
+        }));
+        absentees.forEach(student => {
+            student.present = false;
+        });
+        this.database.attendance.push(...absences);
+
+        const records = this.getRollCallAttendance(rollCall.id);
+        rollCall.status = 'closed';
+        rollCall.closedAt = now;
+        rollCall.closedBy = closedBy;
+        rollCall.summary = {
+            total: records.length,
+            present: records.filter(a => a.present).length,
+            late: records.filter(a => a.present && a.late).length,
+            absent: records.filter(a => !a.present).length
+        };
+
+        if (absences.length > 0) {
+            this.saveRecords('attendance', absences);
+            this.saveRecords('students', absentees);
+        }
+        this.saveRecords('rollCalls', [rollCall]);
+    }
+
+    // Login sessions. A session id doubles as the family id of its refresh tokens.
+    createSession(sessionData) {
+        return this.transaction(() => {
+            const newSession = {
+                id: crypto.randomUUID(),
+                ...sessionData,
+                createdAt: new Date(),
+                lastSeenAt: new Date(),
+                expiresAt: null,
+                revokedAt: null,
+                revokedReason: null
+            };
+            this.database.sessions.push(newSession);
+            this.saveRecords('sessions', [newSession]);
+            return newSession;
+        });
+    }
+
+    getSession(id) {
+        return this.database.sessions.find(s => s.id === id);
+    }
+
+    getActiveSessionsForDC(dcId) {
+        const now = new Date();
+        return this.database.sessions.filter(s =>
+            s.dcId === dcId && !s.revokedAt && (!s.expiresAt || new Date(s.expiresAt) > now)
         );
+    }
 
-        if (existingAttendance) {
-            existingAttendance.present = attendanceData.present;
-            existingAttendance.method = attendanceData.method;
-            existingAttendance.updatedAt = new Date();
-        } else {
-            this.database.attendance.push({
-                id: this.database.attendance.length + 1,
-                ...attendanceData,
-                date: today,
+    // Record activity on a session. lastSeenAt is only written once a minute to avoid
+    // rewriting sessions.json on every request.
+    touchSession(id, updateData = {}) {
+        const session = this.getSession(id);
+        if (!session) {
+            return null;
+        }
+
+        const stale = Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS;
+        if (!stale && !updateData.expiresAt) {
+            return session;
+        }
+
+        return this.transaction(() => {
+            const current = this.getSession(id);
+            if (current) {
+                Object.assign(current, updateData, { lastSeenAt: new Date() });
+                this.saveRecords('sessions', [current]);
+            }
+            return current;
+        });
+    }
+
+    revokeSession(id, reason = 'logout') {
+        return this.transaction(() => {
+            const session = this.getSession(id);
+            if (session && !session.revokedAt) {
+                session.revokedAt = new Date();
+                session.revokedReason = reason;
+                this.saveRecords('sessions', [session]);
+            }
+            this.revokeTokenFamily(id, reason);
+            return session;
+        });
+    }
+
+    // Revoke every session of a DC, optionally keeping one (the caller's own)
+    revokeAllSessionsForDC(dcId, reason, exceptSessionId = null) {
+        return this.transaction(() => {
+            const sessions = this.getActiveSessionsForDC(dcId).filter(s => s.id !== exceptSessionId);
+            sessions.forEach(session => this.revokeSession(session.id, reason));
+            return sessions.length;
+        });
+    }
+
+    // Refresh token operations (tokens are stored as SHA-256 hashes)
+    createRefreshToken(tokenData) {
+        return this.transaction(() => {
+            // Expired tokens are pruned, so ids are random rather than sequential
+            const newToken = {
+                id: crypto.randomUUID(),
+                ...tokenData,
+                rotatedAt: null,
+                replacedBy: null,
+                revokedAt: null,
                 createdAt: new Date()
+            };
+            this.database.refreshTokens.push(newToken);
+            this.saveRecords('refreshTokens', [newToken]);
+            return newToken;
+        });
+    }
+
+    findRefreshToken(tokenHash) {
+        return this.database.refreshTokens.find(t => t.tokenHash === tokenHash);
+    }
+
+    markRefreshTokenRotated(id, replacedBy) {
+        return this.transaction(() => {
+            const token = this.database.refreshTokens.find(t => t.id === id);
+            if (token) {
+                token.rotatedAt = new Date();
+                token.replacedBy = replacedBy;
+                this.saveRecords('refreshTokens', [token]);
+            }
+            return token;
+        });
+    }
+
+    // Revoke every refresh token issued from the same login
+    revokeTokenFamily(familyId, reason = 'logout') {
+        return this.transaction(() => {
+            const now = new Date();
+            const revoked = this.database.refreshTokens.filter(token => token.familyId === familyId && !token.revokedAt);
+            revoked.forEach(token => {
+                token.revokedAt = now;
+                token.revokedReason = reason;
             });
+            if (revoked.length > 0) {
+                this.saveRecords('refreshTokens', revoked);
+            }
+            return revoked.length;
+        });
+    }
+
+    // Access token denylist (entries are kept until the token would have expired)
+    revokeAccessToken(jti, expiresAt) {
+        return this.transaction(() => {
+            if (!this.isAccessTokenRevoked(jti)) {
+                const entry = { jti, expiresAt, revokedAt: new Date() };
+                this.database.revokedTokens.push(entry);
+                this.saveRecords('revokedTokens', [entry]);
+            }
+        });
+    }
+
+    isAccessTokenRevoked(jti) {
+        return this.database.revokedTokens.some(t => t.jti === jti);
+    }
+
+    // Record that a student used an attendance QR code. Returns false when they already
+    // had, so a code cannot be replayed. Entries are kept until the code expires.
+    useQrCode(nonce, studentId, expiresAt) {
+        return this.transaction(() => {
+            const id = `${nonce}:${studentId}`;
+            if (this.database.usedQrCodes.some(c => c.id === id)) {
+                return false;
+            }
+
+            const entry = { id, nonce, studentId, expiresAt, usedAt: new Date() };
+            this.database.usedQrCodes.push(entry);
+            this.saveRecords('usedQrCodes', [entry]);
+            return true;
+        });
+    }
+
+    pruneExpiredTokens() {
+        return this.transaction(() => {
+            const now = new Date();
+            const revokedCount = this.database.revokedTokens.length;
+            const refreshCount = this.database.refreshTokens.length;
+            const sessionCount = this.database.sessions.length;
+            const qrCodeCount = this.database.usedQrCodes.length;
+
+            this.database.revokedTokens = this.database.revokedTokens.filter(t => new Date(t.expiresAt) > now);
+            this.database.refreshTokens = this.database.refreshTokens.filter(t => new Date(t.expiresAt) > now);
+            this.database.sessions = this.database.sessions.filter(s => !s.expiresAt || new Date(s.expiresAt) > now);
+            this.database.usedQrCodes = this.database.usedQrCodes.filter(c => new Date(c.expiresAt) > now);
+
+            if (this.database.revokedTokens.length !== revokedCount) {
+                this.replaceCollection('revokedTokens');
+            }
+            if (this.database.refreshTokens.length !== refreshCount) {
+                this.replaceCollection('refreshTokens');
+            }
+            if (this.database.sessions.length !== sessionCount) {
+                this.replaceCollection('sessions');
+            }
+            if (this.database.usedQrCodes.length !== qrCodeCount) {
+                this.replaceCollection('usedQrCodes');
+            }
+        });
+    }
+
+    // API keys for attendance devices (stored as SHA-256 hashes, revoked rather than deleted)
+    createApiKey(keyData) {
+        return this.transaction(() => {
+            const newKey = {
+                id: this.nextId('apiKeys'),
+                ...keyData,
+                lastUsedAt: null,
+                lastUsedIp: null,
+                revokedAt: null,
+                createdAt: new Date()
+            };
+            this.database.apiKeys.push(newKey);
+            this.saveRecords('apiKeys', [newKey]);
+            return newKey;
+        });
+    }
+
+    findApiKey(keyHash) {
+        return this.database.apiKeys.find(k => k.keyHash === keyHash);
+    }
+
+    getApiKeyById(id) {
+        return this.database.apiKeys.find(k => k.id === id);
+    }
+
+    // Like sessions, last-used details are written at most once a minute
+    touchApiKey(id, ip) {
+        const apiKey = this.getApiKeyById(id);
+        if (!apiKey || (apiKey.lastUsedAt &&
+            Date.now() - new Date(apiKey.lastUsedAt).getTime() <= SESSION_TOUCH_INTERVAL_MS)) {
+            return apiKey;
         }
 
-        this.saveData('attendance.json', this.database.attendance);
-        return this.database.attendance;
+        return this.transaction(() => {
+            const current = this.getApiKeyById(id);
+            if (current) {
+                current.lastUsedAt = new Date();
+                current.lastUsedIp = ip;
+                this.saveRecords('apiKeys', [current]);
+            }
+            return current;
+        });
     }
 
-    getAttendanceByDate(date) {
-        return this.database.attendance.filter(a => a.date === date);
+    revokeApiKey(id, revokedBy) {
+        return this.transaction(() => {
+            const apiKey = this.getApiKeyById(id);
+            if (apiKey && !apiKey.revokedAt) {
+                apiKey.revokedAt = new Date();
+                apiKey.revokedBy = revokedBy;
+                this.saveRecords('apiKeys', [apiKey]);
+            }
+            return apiKey;
+        });
+    }
+
+    // Failed login audit trail (entries older than the retention period are dropped)
+    recordFailedLogin(entry) {
+        return this.transaction(() => {
+            const cutoff = new Date(Date.now() - LOGIN_AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            const auditCount = this.database.loginAudit.length;
+            this.database.loginAudit = this.database.loginAudit.filter(e => new Date(e.timestamp) > cutoff);
+
+            const newEntry = {
+                id: crypto.randomUUID(),
+                ...entry,
+                timestamp: new Date()
+            };
+            this.database.loginAudit.push(newEntry);
+
+            if (this.database.loginAudit.length - 1 !== auditCount) {
+                this.replaceCollection('loginAudit');
+            } else {
+                this.saveRecords('loginAudit', [newEntry]);
+            }
+        });
     }
 
     // Statistics
@@ -291,11 +1141,17 @@ class DatabaseManager {
             students = students.filter(s => s.floor === floor);
         }
 
+        // From today's marks rather than the present flags, which may still be yesterday's
+        const present = this.getPresentStudentIds(campusDate());
         const totalStudents = students.length;
-        const presentToday = students.filter(s => s.present).length;
+        const presentToday = students.filter(s => present.has(s.id)).length;
         const ironsBorrowed = this.database.ironBorrowing.filter(i => !i.available).length;
         const availableIrons = this.database.ironBorrowing.filter(i => i.available).length;
-        const openComplaints = this.database.complaints.filter(c => c.status === 'Open').length;
+        const openComplaints = this.database.complaints.filter(c =>
+            c.status === 'Open' &&
+            (!hostel || c.hostel === hostel) &&
+            (!floor || !c.floor || c.floor === floor)
+        ).length;
 
         return {
             totalStudents,
@@ -304,23 +1160,12 @@ class DatabaseManager {
             ironsBorrowed,
             availableIrons,
             openComplaints,
-            attendancePercentage: totalStudents > 0 ? ((presentToday / totalStudents) * 100).toFixed(2) : 0
+            // Percentage rounded to two decimals
+            attendancePercentage: totalStudents > 0 ? Math.round((presentToday / totalStudents) * 10000) / 100 : 0
         };
     }
 }
 
-// Create singleton instance
-const dbManager = new DatabaseManager();
-
-// Auto-save every 5 minutes
-setInterval(() => {
-    dbManager.saveAll();
-}, 5 * 60 * 1000);
-
-// Save on process exit
-process.on('SIGINT', () => {
-    dbManager.saveAll();
-    process.exit(0);
-});
-
-module.exports = dbManager;
+module.exports = {
+    DatabaseManager
+};
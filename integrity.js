@@ -0,0 +1,215 @@
+// database/integrity.js
+// Consistency checks across collections. Each check lists the offending records and knows
+// how to repair them; repairs change the collections in place and never invent data
+// (dangling rows are removed, unknown assignments are cleared). A repair may return the
+// names of collections it changed besides those its issues belong to.
+const { COLLECTIONS } = require('./storage');
+
+const SEQUENCED_COLLECTIONS = Object.keys(COLLECTIONS).filter(collection => COLLECTIONS[collection].sequence);
+
+const maxId = (records) => records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0);
+
+const hostelFloors = (hostels, specificHostel) => {
+    for (const group of Object.values(hostels)) {
+        if (group[specificHostel]) {
+            return group[specificHostel].floors;
+        }
+    }
+    return null;
+};
+
+const checks = [
+    {
+        name: 'sequence-behind',
+        description: 'ID sequence is lower than an id already in use',
+        find: (db) => SEQUENCED_COLLECTIONS
+            .filter(collection => maxId(db[collection]) > ((db.meta.sequences || {})[collection] || 0))
+            .map(collection => ({
+                collection: 'meta',
+                id: collection,
+                message: `${collection} sequence is behind its highest id ${maxId(db[collection])}`
+            })),
+        repair: (db, issues) => {
+            db.meta.sequences = db.meta.sequences || {};
+            issues.forEach(issue => {
+                db.meta.sequences[issue.id] = maxId(db[issue.id]);
+            });
+        }
+    },
+    {
+        name: 'duplicate-id',
+        description: 'Two records in a collection share an id',
+        find: (db) => SEQUENCED_COLLECTIONS.flatMap(collection => {
+            const seen = new Set();
+            return db[collection]
+                .filter(record => {
+                    const duplicate = seen.has(record.id);
+                    seen.add(record.id);
+                    return duplicate;
+                })
+                .map(record => ({ collection, id: record.id, message: `${collection} id ${record.id} is used more than once` }));
+        }),
+        // Later duplicates get fresh ids; the first record keeps the id references point to
+        repair: (db, issues) => {
+            new Set(issues.map(issue => issue.collection)).forEach(collection => {
+                const seen = new Set();
+                let nextId = Math.max(maxId(db[collection]), (db.meta.sequences || {})[collection] || 0);
+                db[collection].forEach(record => {
+                    if (seen.has(record.id)) {
+                        record.id = ++nextId;
+                    }
+                    seen.add(record.id);
+                });
+                db.meta.sequences = { ...db.meta.sequences, [collection]: nextId };
+            });
+            return ['meta'];
+        }
+    },
+    {
+        name: 'attendance-unknown-student',
+        description: 'Attendance row for a student that does not exist',
+        find: (db) => {
+            const studentIds = new Set(db.students.map(student => student.id));
+            return db.attendance
+                .filter(record => !studentIds.has(record.studentId))
+                .map(record => ({
+                    collection: 'attendance',
+                    id: record.id,
+                    message: `Attendance ${record.id} (${record.date}) refers to unknown student ${record.studentId}`
+                }));
+        },
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.attendance = db.attendance.filter(record => !ids.has(record.id));
+        }
+    },
+    {
+        name: 'attendance-unknown-roll-call',
+        description: 'Attendance row for a roll call that does not exist',
+        find: (db) => {
+            const rollCallIds = new Set(db.rollCalls.map(rollCall => rollCall.id));
+            return db.attendance
+                .filter(record => record.rollCallId && !rollCallIds.has(record.rollCallId))
+                .map(record => ({
+                    collection: 'attendance',
+                    id: record.id,
+                    message: `Attendance ${record.id} (${record.date}) refers to unknown roll call ${record.rollCallId}`
+                }));
+        },
+        // The mark itself stays, as an ordinary mark of its day
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.attendance.filter(record => ids.has(record.id)).forEach(record => {
+                delete record.rollCallId;
+                delete record.late;
+            });
+        }
+    },
+    {
+        name: 'student-unknown-hostel',
+        description: 'Student assigned to a hostel or floor that does not exist',
+        find: (db) => db.students
+            .filter(student => {
+                if (!student.hostel) {
+                    return false;
+                }
+                const floors = hostelFloors(db.hostels, student.hostel);
+                return !floors || (student.floor && !floors.includes(student.floor));
+            })
+            .map(student => ({
+                collection: 'students',
+                id: student.id,
+                message: hostelFloors(db.hostels, student.hostel)
+                    ? `Student ${student.id} is on unknown floor '${student.floor}' of ${student.hostel}`
+                    : `Student ${student.id} is in unknown hostel '${student.hostel}'`
+            })),
+        // Unassigned students are only visible to admins until they are placed again
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.students.filter(student => ids.has(student.id)).forEach(student => {
+                if (!hostelFloors(db.hostels, student.hostel)) {
+                    student.hostel = '';
+                }
+                student.floor = '';
+            });
+        }
+    },
+    {
+        name: 'dc-unknown-hostel',
+        description: 'DC assigned to a hostel or floor that does not exist',
+        find: (db) => db.dcs
+            .filter(dc => {
+                if (!dc.specificHostel) {
+                    return false;
+                }
+                const floors = hostelFloors(db.hostels, dc.specificHostel);
+                return !floors || (dc.floor && !floors.includes(dc.floor));
+            })
+            .map(dc => ({ collection: 'dcs', id: dc.id, message: `DC ${dc.id} is assigned to unknown hostel/floor '${dc.specificHostel}'/'${dc.floor}'` })),
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.dcs.filter(dc => ids.has(dc.id)).forEach(dc => {
+                Object.assign(dc, { hostelType: '', specificHostel: '', floor: '', updatedAt: new Date() });
+            });
+        }
+    },
+    {
+        name: 'complaint-unknown-hostel',
+        description: 'Complaint filed against a hostel that does not exist',
+        find: (db) => db.complaints
+            .filter(complaint => complaint.hostel && !hostelFloors(db.hostels, complaint.hostel))
+            .map(complaint => ({ collection: 'complaints', id: complaint.id, message: `Complaint ${complaint.id} refers to unknown hostel '${complaint.hostel}'` })),
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.complaints.filter(complaint => ids.has(complaint.id)).forEach(complaint => {
+                complaint.hostel = '';
+                complaint.floor = '';
+            });
+        }
+    },
+    {
+        name: 'session-unknown-dc',
+        description: 'Login session or refresh token for a DC that does not exist',
+        find: (db) => {
+            const dcIds = new Set(db.dcs.map(dc => dc.id));
+            return [
+                ...db.sessions
+                    .filter(session => !dcIds.has(session.dcId))
+                    .map(session => ({ collection: 'sessions', id: session.id, message: `Session ${session.id} belongs to unknown DC ${session.dcId}` })),
+                ...db.refreshTokens
+                    .filter(token => !dcIds.has(token.dcId))
+                    .map(token => ({ collection: 'refreshTokens', id: token.id, message: `Refresh token ${token.id} belongs to unknown DC ${token.dcId}` }))
+            ];
+        },
+        repair: (db, issues) => {
+            const ids = new Set(issues.map(issue => issue.id));
+            db.sessions = db.sessions.filter(session => !ids.has(session.id));
+            db.refreshTokens = db.refreshTokens.filter(token => !ids.has(token.id));
+        }
+    }
+];
+
+// Run every check. With repair, offending records are fixed and the names of the
+// collections that changed are returned so the caller can persist them.
+const checkIntegrity = (database, { repair = false } = {}) => {
+    const changed = new Set();
+    const results = checks.map(check => {
+        const issues = check.find(database);
+        if (repair && issues.length > 0) {
+            const alsoChanged = check.repair(database, issues) || [];
+            [...issues.map(issue => issue.collection), ...alsoChanged].forEach(collection => changed.add(collection));
+        }
+        return { check: check.name, description: check.description, issues, repaired: repair && issues.length > 0 };
+    });
+
+    return {
+        issueCount: results.reduce((total, result) => total + result.issues.length, 0),
+        checks: results,
+        changed: [...changed]
+    };
+};
+
+module.exports = {
+    SEQUENCED_COLLECTIONS,
+    checkIntegrity
+};
@@ -0,0 +1,442 @@
+// database/storage/json.js
+// One JSON file per collection in data/. A collection's file is rewritten whenever any of
+// its records change.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const { COLLECTIONS } = require('./index');
+
+// Every write is recorded in the journal before its data file is replaced, so a crash
+// between the two is repaired on the next start. The journal is truncated once every
+// file holds its journaled contents, checked on autosave, on shutdown and whenever the
+// journal grows past this size.
+const JOURNAL_FILE = 'journal.log';
+const JOURNAL_COMPACT_BYTES = 5 * 1024 * 1024;
+
+// Processes sharing the directory take turns through an advisory lock file. A lock whose
+// holder has died (or, across hosts, is older than LOCK_STALE_MS) is taken over, by one
+// waiting process only (see takeOverLock).
+const LOCK_FILE = '.lock';
+const LOCK_TIMEOUT_MS = config.storage.lockTimeoutMs;
+const LOCK_STALE_MS = 60 * 1000;
+const LOCK_RETRY_MS = 10;
+
+// Blocks the thread; the storage API is synchronous
+const sleep = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+class JsonFileStorage {
+    constructor({ dataPath = path.join(__dirname, '..', '..', 'data') } = {}) {
+        this.dataPath = dataPath;
+        this.journalPath = path.join(this.dataPath, JOURNAL_FILE);
+        this.lockPath = path.join(this.dataPath, LOCK_FILE);
+        this.lockDepth = 0;
+        // File signature per collection as of our last read or write (see changedCollections)
+        this.signatures = {};
+        this.ensureDataDirectory();
+        this.lock(() => this.recover());
+    }
+
+    ensureDataDirectory() {
+        if (!fs.existsSync(this.dataPath)) {
+            fs.mkdirSync(this.dataPath, { recursive: true });
+        }
+    }
+
+    // Undo the effects of a process that died mid-write. Only safe while holding the lock.
+    recover() {
+        // Temp files left behind by a crash mid-write are never the live copy
+        fs.readdirSync(this.dataPath)
+            .filter(name => name.endsWith('.tmp'))
+            .forEach(name => fs.unlinkSync(path.join(this.dataPath, name)));
+
+        this.replayJournal();
+    }
+
+    // Run fn while holding the directory lock. Re-entrant within this process.
+    lock(fn) {
+        if (this.lockDepth > 0) {
+            this.lockDepth++;
+            try {
+                return fn();
+            } finally {
+                this.lockDepth--;
+            }
+        }
+
+        this.acquireLock();
+        this.lockDepth = 1;
+        try {
+            return fn();
+        } finally {
+            this.lockDepth = 0;
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    acquireLock() {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        let tookOver = false;
+
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, JSON.stringify({
+                    pid: process.pid,
+                    hostname: os.hostname(),
+                    acquiredAt: new Date()
+                }), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const staleLock = this.readStaleLock();
+            if (staleLock !== null && this.takeOverLock(staleLock)) {
+                console.warn(`Took over stale data lock ${this.lockPath}`);
+                tookOver = true;
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                const timeoutError = new Error(`Timed out after ${LOCK_TIMEOUT_MS}ms waiting for data lock ${this.lockPath}`);
+                timeoutError.code = 'ELOCKTIMEOUT';
+                throw timeoutError;
+            }
+            sleep(LOCK_RETRY_MS);
+        }
+
+        // The previous holder died, possibly in the middle of a write
+        if (tookOver) {
+            this.lockDepth = 1;
+            try {
+                this.recover();
+            } finally {
+                this.lockDepth = 0;
+            }
+        }
+    }
+
+    // The contents of the lock file when its holder is gone, otherwise null
+    readStaleLock() {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.lockPath, 'utf8');
+        } catch (error) {
+            // Gone already
+            return null;
+        }
+
+        try {
+            const holder = JSON.parse(contents);
+            if (holder.hostname === os.hostname()) {
+                return isProcessAlive(holder.pid) ? null : contents;
+            }
+            return Date.now() - new Date(holder.acquiredAt).getTime() > LOCK_STALE_MS ? contents : null;
+        } catch (error) {
+            // Still being written by its new holder, unless that was long ago
+            try {
+                return Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS ? contents : null;
+            } catch (statError) {
+                return null;
+            }
+        }
+    }
+
+    // Move the stale lock out of the way under a name only this process uses. The rename
+    // succeeds for one process only; when another has already taken over and locked again
+    // in the meantime, we moved its live lock and put it back instead.
+    takeOverLock(staleContents) {
+        const claimedPath = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+        try {
+            fs.renameSync(this.lockPath, claimedPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+
+        try {
+            if (fs.readFileSync(claimedPath, 'utf8') === staleContents) {
+                return true;
+            }
+            try {
+                fs.linkSync(claimedPath, this.lockPath);
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+            return false;
+        } finally {
+            fs.rmSync(claimedPath, { force: true });
+        }
+    }
+
+    // Every write replaces the file through a rename, so the inode changes with it
+    signature(collection) {
+        try {
+            const stats = fs.statSync(path.join(this.dataPath, this.fileFor(collection)));
+            return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Collections whose file was rewritten by another process since we last saw it
+    changedCollections() {
+        return Object.keys(this.signatures)
+            .filter(collection => this.signature(collection) !== this.signatures[collection]);
+    }
+
+    fileFor(collection) {
+        if (!COLLECTIONS[collection]) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return `${collection}.json`;
+    }
+
+    exists(collection) {
+        return fs.existsSync(path.join(this.dataPath, this.fileFor(collection)));
+    }
+
+    // Default data is only used for files that have never existed. A file that exists but
+    // cannot be parsed is quarantined and startup stops unless
+    // DATA_START_EMPTY_ON_CORRUPTION=true.
+    load(collection, defaultData) {
+        const filename = this.fileFor(collection);
+        const filePath = path.join(this.dataPath, filename);
+
+        if (!fs.existsSync(filePath)) {
+            this.replace(collection, defaultData);
+            return defaultData;
+        }
+
+        try {
+            const signature = this.signature(collection);
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (Array.isArray(data) !== Array.isArray(defaultData) || typeof data !== 'object' || data === null) {
+                throw new Error(`expected ${Array.isArray(defaultData) ? 'an array' : 'an object'}`);
+            }
+            this.signatures[collection] = signature;
+            return data;
+        } catch (error) {
+            const quarantinePath = this.quarantineFile(filename);
+            console.error(`CORRUPT DATA FILE: ${filename} could not be read (${error.message}). ` +
+                `It has been moved to ${quarantinePath}.`);
+
+            if (!config.storage.startEmptyOnCorruption) {
+                const startupError = new Error(`Refusing to start with corrupt ${filename}; ` +
+                    `restore it from ${quarantinePath} or a backup, or set DATA_START_EMPTY_ON_CORRUPTION=true`);
+                startupError.code = 'EDATACORRUPT';
+                throw startupError;
+            }
+
+            const empty = Array.isArray(defaultData) ? [] : {};
+            console.error(`Starting with an empty ${filename} because DATA_START_EMPTY_ON_CORRUPTION=true`);
+            this.replace(collection, empty);
+            return empty;
+        }
+    }
+
+    save(collection, records, data) {
+        this.writeCollection(collection, data);
+    }
+
+    replace(collection, data) {
+        this.writeCollection(collection, data);
+    }
+
+    // The files of every collection go into one journal entry, so after a crash they are
+    // replayed together or not at all. Once that entry is on disk the batch is committed:
+    // a data file that then fails to write is logged and repaired like any failed write.
+    saveBatch(changes) {
+        const files = changes.map(({ collection, data }) => ({ collection, file: this.fileFor(collection), data }));
+        this.appendJournal(files.map(({ file, data }) => ({ file, data })));
+
+        files.forEach(({ collection, file, data }) => {
+            try {
+                this.applyFile(collection, file, data);
+            } catch (error) {
+                console.error(`Error saving ${file}:`, error);
+            }
+        });
+
+        if (this.journalBytes() > JOURNAL_COMPACT_BYTES) {
+            this.compactJournal();
+        }
+    }
+
+    // Every collection is attempted; the first failure is rethrown afterwards
+    flush(database) {
+        const errors = [];
+        Object.keys(COLLECTIONS)
+            .filter(collection => database[collection] !== undefined)
+            .forEach(collection => {
+                try {
+                    this.writeCollection(collection, database[collection]);
+                } catch (error) {
+                    console.error(`Error saving ${this.fileFor(collection)}:`, error);
+                    errors.push(error);
+                }
+            });
+        this.compactJournal();
+
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+    }
+
+    close() {
+        this.lock(() => this.compactJournal());
+    }
+
+    writeCollection(collection, data) {
+        const filename = this.fileFor(collection);
+        this.appendJournal([{ file: filename, data }]);
+        this.applyFile(collection, filename, data);
+
+        if (this.journalBytes() > JOURNAL_COMPACT_BYTES) {
+            this.compactJournal();
+        }
+    }
+
+    applyFile(collection, filename, data) {
+        this.writeFileAtomic(path.join(this.dataPath, filename), JSON.stringify(data, null, 2));
+        this.signatures[collection] = this.signature(collection);
+    }
+
+    // The latest journaled contents of each file, as a Map of file name to data. A torn
+    // last line (crash mid-append) or an entry whose checksum does not match is skipped.
+    readJournal() {
+        const entries = new Map();
+        if (!fs.existsSync(this.journalPath)) {
+            return entries;
+        }
+
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+        lines.forEach((line, index) => {
+            try {
+                // Entries from before batches held a single file and data
+                const entry = JSON.parse(line);
+                const files = entry.files || [{ file: entry.file, data: entry.data }];
+                if (entry.checksum !== this.checksum(JSON.stringify(entry.files || entry.data))) {
+                    throw new Error('checksum mismatch');
+                }
+                files.forEach(({ file, data }) => entries.set(file, data));
+            } catch (error) {
+                console.error(`Skipping unreadable journal entry ${index + 1} of ${lines.length}:`, error.message);
+            }
+        });
+        return entries;
+    }
+
+    // Apply the latest journaled contents of each file, then start a fresh journal
+    replayJournal() {
+        this.readJournal().forEach((data, filename) => {
+            console.warn(`Replaying journaled write for ${filename}`);
+            this.writeFileAtomic(path.join(this.dataPath, filename), JSON.stringify(data, null, 2));
+        });
+        this.compactJournal();
+    }
+
+    appendJournal(files) {
+        const payload = JSON.stringify(files);
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            checksum: this.checksum(payload),
+            files
+        }) + '\n';
+
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, line);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    journalBytes() {
+        try {
+            return fs.statSync(this.journalPath).size;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Every process appends to the same journal, so it is only truncated under the lock and
+    // once each file on disk holds its latest journaled contents. Until then an entry may be
+    // the only good copy of a write (a failed write, or one a dead process never applied);
+    // replayJournal applies it when the lock is next taken over or the server restarts.
+    compactJournal() {
+        if (this.lockDepth === 0) {
+            return;
+        }
+
+        for (const [filename, data] of this.readJournal()) {
+            let content;
+            try {
+                content = fs.readFileSync(path.join(this.dataPath, filename), 'utf8');
+            } catch (error) {
+                return;
+            }
+            if (this.checksum(content) !== this.checksum(JSON.stringify(data, null, 2))) {
+                return;
+            }
+        }
+        fs.writeFileSync(this.journalPath, '');
+    }
+
+    checksum(payload) {
+        return crypto.createHash('sha256').update(payload).digest('hex');
+    }
+
+    // Write to a temp file, flush it, then rename over the original so readers only
+    // ever see the old or the new contents
+    writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+
+        // Persist the rename itself (not supported on every platform)
+        try {
+            const dirFd = fs.openSync(this.dataPath, 'r');
+            try {
+                fs.fsyncSync(dirFd);
+            } finally {
+                fs.closeSync(dirFd);
+            }
+        } catch (error) {
+            // Directory fsync is best effort
+        }
+    }
+
+    // Move a corrupt data file aside so it can be inspected and is never overwritten
+    quarantineFile(filename) {
+        const filePath = path.join(this.dataPath, filename);
+        const quarantinePath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        fs.renameSync(filePath, quarantinePath);
+        return quarantinePath;
+    }
+}
+
+module.exports = JsonFileStorage;
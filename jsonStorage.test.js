@@ -0,0 +1,52 @@
+// tests/jsonStorage.test.js
+// Processes sharing a data directory share its journal: one must never truncate a write
+// another has journaled but not yet applied.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStorage = require('../database/storage/json');
+
+describe('JSON storage journal', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-management-storage-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    const journal = () => fs.readFileSync(path.join(dataPath, 'journal.log'), 'utf8');
+
+    test('is truncated once every journaled write is on disk', () => {
+        const storage = new JsonFileStorage({ dataPath });
+        storage.lock(() => storage.save('students', [], [{ id: 1 }]));
+        expect(journal()).not.toBe('');
+
+        storage.lock(() => storage.flush({ students: [{ id: 1 }] }));
+        expect(journal()).toBe('');
+    });
+
+    test("keeps another process's write that has not reached its file", () => {
+        const first = new JsonFileStorage({ dataPath });
+        const second = new JsonFileStorage({ dataPath });
+
+        // The first process journals students but dies before replacing the file
+        jest.spyOn(first, 'writeFileAtomic').mockImplementation(() => {
+            throw new Error('crashed');
+        });
+        expect(() => first.lock(() => first.save('students', [], [{ id: 1, name: 'Journaled' }]))).toThrow('crashed');
+
+        // The second process writes and flushes a collection of its own
+        second.lock(() => second.flush({ complaints: [{ id: 1 }] }));
+        second.close();
+        expect(journal()).toContain('Journaled');
+
+        // A restart replays the write, after which the journal can go
+        const restarted = new JsonFileStorage({ dataPath });
+        expect(restarted.load('students', [])).toEqual([{ id: 1, name: 'Journaled' }]);
+        expect(journal()).toBe('');
+    });
+});
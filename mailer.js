@@ -0,0 +1,72 @@
+// services/mailer.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const EMAIL_FROM = config.email.from;
+
+// Built-in transports, selected with EMAIL_TRANSPORT. Each returns an object with send(message).
+const transports = {
+    // Print messages to the server log (local development)
+    console: () => ({
+        send: async (message) => {
+            console.log('Email message:', JSON.stringify(message, null, 2));
+        }
+    }),
+
+    // Write each message as a JSON file in EMAIL_OUTBOX_PATH (local testing)
+    file: () => {
+        const { outboxPath } = config.email;
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(outboxPath, { recursive: true });
+                const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+                await fs.promises.writeFile(path.join(outboxPath, filename), JSON.stringify(message, null, 2));
+            }
+        };
+    },
+
+    // Deliver through the SMTP server in EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASSWORD
+    smtp: () => {
+        const nodemailer = require('nodemailer');
+        const { host, port, user, password } = config.email;
+        const transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure: port === 465,
+            auth: {
+                user,
+                pass: password
+            }
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    }
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = config.email.transport;
+        if (!transports[name]) {
+            throw new Error(`Unknown email transport: ${name}`);
+        }
+        activeTransport = transports[name]();
+    }
+    return activeTransport;
+};
+
+// Swap in a custom transport (another provider, or a test double)
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    return getTransport().send({ from: EMAIL_FROM, to, subject, text });
+};
+
+module.exports = {
+    transports,
+    setTransport,
+    sendMail
+};
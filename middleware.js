@@ -1,9 +1,86 @@
 // middleware/auth.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const dbManager = require('../database');
+const config = require('../config');
+const { validate, validateValue } = require('../utils/validator');
+const attendanceQr = require('../utils/attendanceQr');
 
-// Authentication middleware
+// Routes an API key may be scoped to (attendance kiosks, gate displays and scanner devices),
+// as "<METHOD> <path>" so a key that reads a route cannot also write to it
+const API_KEY_SCOPES = [
+    'POST /attendance/qr-code',
+    'GET /attendance/generate-qr',
+    'POST /attendance/face-recognition',
+    'POST /attendance/manual',
+    'GET /students'
+];
+
+// API keys arrive as "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const extractApiKey = (req) => {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+        return authHeader.slice('ApiKey '.length).trim();
+    }
+    return null;
+};
+
+// Device authentication with an admin-issued API key
+const authenticateApiKey = (key, req, res, next) => {
+    const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+    const apiKey = req.dbManager.findApiKey(keyHash);
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid API key',
+            message: 'The API key is unknown, expired or revoked'
+        });
+    }
+
+    // Keys only open the routes they were scoped to when issued
+    const route = `${req.method} ${req.route ? req.route.path : req.path}`;
+    if (!apiKey.scopes.includes(route)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: `API key is not scoped for ${route}`
+        });
+    }
+
+    req.dbManager.touchApiKey(apiKey.id, req.ip);
+
+    // Devices act with the hostel and floor the key was issued for
+    req.apiKey = apiKey;
+    req.user = { id: null, apiKeyId: apiKey.id };
+    req.dcData = {
+        id: null,
+        name: apiKey.name,
+        role: 'device',
+        isActive: true,
+        hostelType: apiKey.hostelType,
+        specificHostel: apiKey.hostel,
+        floor: apiKey.floor || ''
+    };
+    next();
+};
+
+// Sessions unused for SESSION_TIMEOUT are logged out (lastSeenAt is kept to the minute)
+const isSessionIdle = (session) => {
+    return Date.now() - new Date(session.lastSeenAt).getTime() > config.auth.sessionTimeoutMs;
+};
+
+// Authentication middleware (JWT access token or device API key)
 const authenticateToken = (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -15,7 +92,7 @@ const authenticateToken = (req, res, next) => {
         });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'dc_management_secret_key', (err, user) => {
+    jwt.verify(token, config.auth.jwtSecret, (err, user) => {
         if (err) {
             return res.status(403).json({ 
                 success: false,
@@ -23,9 +100,28 @@ const authenticateToken = (req, res, next) => {
                 message: 'Please log in again'
             });
         }
-        
+
+        // Every access token belongs to a login session; tokens without one cannot be revoked
+        const session = user.sid && req.dbManager.getSession(user.sid);
+        if (!user.jti || !session || session.revokedAt || session.dcId !== user.id ||
+            req.dbManager.isAccessTokenRevoked(user.jti)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Token has been revoked',
+                message: 'Please log in again'
+            });
+        }
+
+        if (isSessionIdle(session)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session expired',
+                message: 'The session was inactive for too long. Please log in again'
+            });
+        }
+
         // Get fresh user data from database
-        const dcData = dbManager.getDCById(user.id);
+        const dcData = req.dbManager.getDCById(user.id);
         if (!dcData) {
             return res.status(404).json({
                 success: false,
@@ -34,15 +130,58 @@ const authenticateToken = (req, res, next) => {
             });
         }
         
+        if (dcData.isActive === false) {
+            return res.status(403).json({
+                success: false,
+                error: 'Account is deactivated',
+                message: 'Please contact administrator'
+            });
+        }
+        
+        req.dbManager.touchSession(session.id, { ip: req.ip });
+        
         req.user = user;
         req.dcData = dcData;
         next();
     });
 };
 
+// Students authenticate with the attendance pass a DC issued them (see
+// ../utils/attendanceQr), sent as "X-Student-Pass: <pass>"
+const authenticateStudent = (req, res, next) => {
+    const pass = attendanceQr.verifyStudentPass(req.headers['x-student-pass']);
+    const student = pass && req.dbManager.database.students.find(s => s.id === pass.studentId);
+
+    if (!student || (student.attendancePassVersion || 0) !== pass.version) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid student pass',
+            message: 'The attendance pass is unknown or has been replaced; ask your DC for a new one'
+        });
+    }
+
+    req.student = student;
+    next();
+};
+// Described in the OpenAPI document (routes/openapi.js)
+authenticateStudent.acceptsStudentPass = true;
+
+// Students with their pass, or a DC or scanner device (API key) acting on their behalf
+const authenticateStudentOrToken = (req, res, next) => {
+    if (req.headers['x-student-pass']) {
+        return authenticateStudent(req, res, next);
+    }
+    return authenticateToken(req, res, next);
+};
+authenticateStudentOrToken.acceptsStudentPass = true;
+authenticateStudentOrToken.acceptsToken = true;
+
+// Roles ordered from least to most privileged
+const ROLES = ['dc', 'warden', 'admin'];
+
 // Role-based authorization middleware
 const authorizeRole = (roles) => {
-    return (req, res, next) => {
+    const middleware = (req, res, next) => {
         if (!req.dcData) {
             return res.status(403).json({
                 success: false,
@@ -62,6 +201,9 @@ const authorizeRole = (roles) => {
 
         next();
     };
+    // Listed in the OpenAPI document (routes/openapi.js)
+    middleware.roles = roles;
+    return middleware;
 };
 
 // Rate limiting middleware
@@ -92,20 +234,23 @@ const rateLimit = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
     };
 };
 
-// Request validation middleware
+// Request validation middleware (rules in ../utils/validator, route schemas in ../routes/schemas)
 const validateRequest = (schema) => {
-    return (req, res, next) => {
-        const { error } = schema.validate(req.body);
-        if (error) {
+    const middleware = (req, res, next) => {
+        const errors = validate(schemaForVersion(schema, req.apiVersion), req);
+        if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Validation error',
-                message: error.details[0].message,
-                details: error.details
+                message: errors.map(error => error.message).join('; '),
+                details: errors
             });
         }
         next();
     };
+    // Kept on the middleware so the route's schema can be looked up later
+    middleware.schema = schema;
+    return middleware;
 };
 
 // Error handling middleware
@@ -124,7 +269,7 @@ const errorHandler = (err, req, res, next) => {
         return res.status(400).json({
             success: false,
             error: 'File too large',
-            message: 'Uploaded file exceeds the maximum size limit'
+            message: `Uploaded file exceeds the maximum size of ${config.uploads.maxFileSize} bytes`
         });
     }
 
@@ -136,6 +281,14 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    if (err.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid file type',
+            message: err.message
+        });
+    }
+
     // JWT errors
     if (err.name === 'JsonWebTokenError') {
         return res.status(401).json({
@@ -153,6 +306,14 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    if (err.message === 'Not allowed by CORS') {
+        return res.status(403).json({
+            success: false,
+            error: 'Origin not allowed',
+            message: 'Requests from this origin are not accepted'
+        });
+    }
+
     // Database errors
     if (err.code === 'ENOENT') {
         return res.status(500).json({
@@ -166,13 +327,41 @@ const errorHandler = (err, req, res, next) => {
     res.status(err.status || 500).json({
         success: false,
         error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-        ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+        message: config.env === 'development' ? err.message : 'Something went wrong',
+        ...(config.env === 'development' && { stack: err.stack })
     });
 };
 
-// Request logging middleware
+// Unknown routes get the same JSON error shape as everything else
+const notFoundHandler = (req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Route not found',
+        message: `${req.method} ${req.originalUrl} does not exist`
+    });
+};
+
+// Request logs are appended to LOG_FILE when it is set, otherwise written to stdout
+let logStream = null;
+const writeRequestLog = (line) => {
+    if (!config.logging.file) {
+        console.log(line);
+        return;
+    }
+    if (!logStream) {
+        fs.mkdirSync(path.dirname(config.logging.file), { recursive: true });
+        logStream = fs.createWriteStream(config.logging.file, { flags: 'a' });
+        logStream.on('error', error => console.error('Log file error:', error));
+    }
+    logStream.write(`${line}\n`);
+};
+
+// Request logging middleware (one JSON line per request at LOG_LEVEL info or debug)
 const requestLogger = (req, res, next) => {
+    if (config.logging.level === 'error' || config.logging.level === 'warn') {
+        return next();
+    }
+
     const start = Date.now();
     
     res.on('finish', () => {
@@ -185,10 +374,11 @@ const requestLogger = (req, res, next) => {
             timestamp: new Date().toISOString(),
             userAgent: req.headers['user-agent'],
             ip: req.ip,
-            ...(req.user && { userId: req.user.id })
+            ...(req.user && req.user.id && { userId: req.user.id }),
+            ...(req.apiKey && { apiKeyId: req.apiKey.id })
         };
         
-        console.log(JSON.stringify(logData));
+        writeRequestLog(JSON.stringify(logData));
     });
     
     next();
@@ -202,8 +392,8 @@ const corsOptions = {
             'http://localhost:3001',
             'http://127.0.0.1:3000',
             'http://127.0.0.1:3001',
-            process.env.CORS_ORIGIN
-        ].filter(Boolean);
+            ...config.corsOrigins
+        ];
         
         // Allow requests with no origin (mobile apps, etc.)
         if (!origin) return callback(null, true);
@@ -216,7 +406,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Student-Pass', 'Accept-Version'],
+    exposedHeaders: ['API-Version', 'Deprecation', 'Sunset', 'Link']
 };
 
 // Input sanitization middleware
@@ -247,6 +438,19 @@ const sanitizeInput = (req, res, next) => {
     next();
 };
 
+// Supported API versions, oldest first. Each is served at /api/v<major>; unversioned /api
+// paths are negotiated (see negotiateVersion).
+const API_VERSIONS = ['1.0', '2.0'];
+const DEFAULT_API_VERSION = '1.0';
+
+const majorVersion = (version) => version.split('.')[0];
+
+// "2", "2.0" and "v2" all name version 2.0; null for anything unsupported
+const parseVersion = (value) => {
+    const match = String(value).trim().match(/^v?(\d+)(\.0)?$/i);
+    return match ? API_VERSIONS.find(version => majorVersion(version) === match[1]) || null : null;
+};
+
 // API versioning middleware
 const apiVersion = (version) => {
     return (req, res, next) => {
@@ -256,9 +460,121 @@ const apiVersion = (version) => {
     };
 };
 
+// Unversioned /api paths use the version named in the Accept-Version header, or the
+// default when there is none so older app builds keep working
+const negotiateVersion = (req, res, next) => {
+    res.vary('Accept-Version');
+
+    if (/^\/v\d+(\/|$)/.test(req.path)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Unsupported API version',
+            message: `Supported versions: ${API_VERSIONS.map(version => `v${majorVersion(version)}`).join(', ')}`
+        });
+    }
+
+    const requested = req.headers['accept-version'];
+    const version = requested ? parseVersion(requested) : DEFAULT_API_VERSION;
+    if (!version) {
+        return res.status(400).json({
+            success: false,
+            error: 'Unsupported API version',
+            message: `Accept-Version must be one of: ${API_VERSIONS.join(', ')}`
+        });
+    }
+
+    apiVersion(version)(req, res, next);
+};
+
+// Announce that a route, or some of its fields, will go away in the given versions:
+// Deprecation gives the date it was deprecated (RFC 9745), Sunset the date it stops
+// working (RFC 8594), and Link points at the same route in the newest version.
+//   deprecated({ versions: ['1.0'], since: '2026-10-19', sunset: '2027-06-30', fields: ['totalRooms'] })
+const deprecated = ({ versions, since, sunset, fields = [] }) => {
+    const middleware = (req, res, next) => {
+        if (versions.includes(req.apiVersion)) {
+            const latest = API_VERSIONS[API_VERSIONS.length - 1];
+            const apiRoot = req.baseUrl.replace(/\/v\d+$/, '');
+            res.set('Deprecation', `@${Math.floor(new Date(since).getTime() / 1000)}`);
+            res.set('Sunset', new Date(sunset).toUTCString());
+            res.append('Link', `<${apiRoot}/v${majorVersion(latest)}${req.path}>; rel="successor-version"`);
+        }
+        next();
+    };
+    // Listed in the OpenAPI document (routes/openapi.js)
+    middleware.deprecation = { versions, since, sunset, fields };
+    return middleware;
+};
+
+// A route schema as one API version sees it: `versions` holds per-version overrides, e.g.
+// the response a version still sends
+const schemaForVersion = (schema, version) => ({
+    ...schema,
+    ...(schema.versions && schema.versions[version])
+});
+
+// Make the app's DatabaseManager available to the routes as req.dbManager
+const attachDatabase = (dbManager) => {
+    return (req, res, next) => {
+        req.dbManager = dbManager;
+        next();
+    };
+};
+
+// Pick up data other server processes changed before handling the request
+const refreshData = (req, res, next) => {
+    try {
+        req.dbManager.refresh();
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Response formatting middleware
+// Differences between a res.apiSuccess call and the response documented in the schema of
+// its route (routes/schemas.js). Routes without a documented response are not checked.
+const checkResponse = (req, data, statusCode) => {
+    const validator = req.route && req.route.stack.find(layer => layer.handle.schema);
+    const schema = validator && schemaForVersion(validator.handle.schema, req.apiVersion);
+    if (!schema || schema.response === undefined) {
+        return [];
+    }
+
+    const { response, status = 200 } = schema;
+    // Compare what the client receives, e.g. dates as strings
+    const payload = data === undefined ? null : JSON.parse(JSON.stringify(data));
+    const errors = [];
+    if (statusCode !== status) {
+        errors.push({ field: 'status', message: `status ${statusCode} is not the documented ${status}` });
+    }
+    if (response === null) {
+        if (payload !== null) {
+            errors.push({ field: 'data', message: 'data must be null' });
+        }
+    } else {
+        errors.push(...validateValue({ required: true, ...response }, payload, 'data'));
+    }
+    return errors;
+};
+
 const formatResponse = (req, res, next) => {
     res.apiSuccess = (data, message = 'Success', statusCode = 200) => {
+        // In tests a handler whose payload drifts from the OpenAPI document fails loudly
+        if (config.env === 'test') {
+            const errors = checkResponse(req, data, statusCode);
+            if (errors.length > 0) {
+                console.error(JSON.stringify({
+                    event: 'response_schema_mismatch',
+                    method: req.method,
+                    route: req.baseUrl + req.route.path,
+                    errors,
+                    timestamp: new Date().toISOString()
+                }));
+                return res.apiError('Response does not match the API specification', 500, errors);
+            }
+        }
+
         res.status(statusCode).json({
             success: true,
             message,
@@ -282,14 +598,27 @@ const formatResponse = (req, res, next) => {
 };
 
 module.exports = {
+    ROLES,
+    API_VERSIONS,
+    DEFAULT_API_VERSION,
+    API_KEY_SCOPES,
     authenticateToken,
+    authenticateStudent,
+    authenticateStudentOrToken,
+    isSessionIdle,
     authorizeRole,
     rateLimit,
     validateRequest,
     errorHandler,
+    notFoundHandler,
     requestLogger,
     corsOptions,
     sanitizeInput,
     apiVersion,
+    negotiateVersion,
+    deprecated,
+    schemaForVersion,
+    attachDatabase,
+    refreshData,
     formatResponse
 };
@@ -0,0 +1,46 @@
+// scripts/migrate-json-to-sqlite.js
+// One-shot import of the data/*.json files into the SQLite database at DB_SQLITE_PATH.
+// Run it once before switching DB_CLIENT to sqlite:
+//   npm run migrate:sqlite              refuses to touch a database that already has data
+//   npm run migrate:sqlite -- --force   replaces whatever the database holds
+const { COLLECTIONS } = require('../database/storage');
+const JsonFileStorage = require('../database/storage/json');
+const SqliteStorage = require('../database/storage/sqlite');
+
+const migrate = ({ force = false } = {}) => {
+    const source = new JsonFileStorage();
+    const target = new SqliteStorage();
+
+    try {
+        const existing = Object.keys(COLLECTIONS).filter(collection => target.isInitialized(collection));
+        if (existing.length > 0 && !force) {
+            throw new Error(`The SQLite database already holds ${existing.join(', ')}; re-run with --force to replace it`);
+        }
+
+        // Collections without a JSON file are left for DatabaseManager to seed on first start
+        const data = {};
+        Object.keys(COLLECTIONS)
+            .filter(collection => source.exists(collection))
+            .forEach(collection => {
+                data[collection] = source.load(collection, COLLECTIONS[collection].type === 'map' ? {} : []);
+            });
+
+        // Imported in a single transaction, so a failure leaves the database untouched
+        target.flush(data);
+
+        Object.entries(data).forEach(([collection, records]) => {
+            const count = Array.isArray(records) ? records.length : Object.keys(records).length;
+            console.log(`${collection}: ${count} imported`);
+        });
+    } finally {
+        target.close();
+    }
+};
+
+try {
+    migrate({ force: process.argv.includes('--force') });
+    console.log('Migration complete. Set DB_CLIENT=sqlite to use the SQLite database.');
+} catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+}
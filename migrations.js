@@ -0,0 +1,150 @@
+// database/migrations/index.js
+// Ordered schema migrations for the stored collections. The schema version lives in the
+// meta collection; on startup DatabaseManager runs every migration newer than it.
+// Migrations receive the collections and change them in place. They must be safe to run
+// twice, because a crash while the result is being written leaves the old version behind.
+const { SEQUENCED_COLLECTIONS } = require('../integrity');
+const { cloneCollections, createSnapshot } = require('../backups');
+
+const migrations = [
+    {
+        version: 1,
+        name: 'complaint-category-and-location',
+        // Complaints created by the old server have no category, hostel or floor
+        up: ({ complaints }) => {
+            complaints.forEach(complaint => {
+                complaint.category = complaint.category || 'General';
+                complaint.hostel = complaint.hostel || '';
+                complaint.floor = complaint.floor || '';
+            });
+        }
+    },
+    {
+        version: 2,
+        name: 'attendance-ids',
+        // Attendance rows written by the old server have no id
+        up: ({ attendance }) => {
+            let nextId = attendance.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0) + 1;
+            attendance.forEach(record => {
+                if (record.id === undefined || record.id === null) {
+                    record.id = nextId++;
+                }
+                record.studentId = parseInt(record.studentId);
+            });
+        }
+    },
+    {
+        version: 3,
+        name: 'dc-role-and-approval',
+        // Accounts from before roles and approval existed are active, approved DCs
+        up: ({ dcs }) => {
+            dcs.forEach(dc => {
+                dc.role = dc.role || 'dc';
+                if (dc.approvalStatus === undefined) {
+                    dc.approvalStatus = 'approved';
+                    dc.emailVerified = true;
+                }
+                if (dc.isActive === undefined) {
+                    dc.isActive = true;
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'id-sequences',
+        // Ids used to be length + 1; each sequence starts after the highest id in use
+        up: (data) => {
+            data.meta = data.meta || {};
+            data.meta.sequences = data.meta.sequences || {};
+            SEQUENCED_COLLECTIONS.forEach(collection => {
+                const highest = (data[collection] || []).reduce((max, record) => Math.max(max, Number(record.id) || 0), 0);
+                data.meta.sequences[collection] = Math.max(data.meta.sequences[collection] || 0, highest);
+            });
+        }
+    },
+    {
+        version: 5,
+        name: 'qr-code-self-check-in',
+        // Used to drop the '/attendance/qr-code' scope from API keys. Gate scanners kept
+        // that route, so this no longer changes anything; keys it already stripped need
+        // the scope granted again by an admin.
+        up: () => {}
+    },
+    {
+        version: 6,
+        name: 'api-key-scope-methods',
+        // Scopes used to name only a path; each keeps the one method its devices need, so a
+        // '/students' key can still list students but no longer create them
+        up: ({ apiKeys }) => {
+            const methods = {
+                '/attendance/qr-code': 'POST',
+                '/attendance/generate-qr': 'GET',
+                '/attendance/face-recognition': 'POST',
+                '/attendance/manual': 'POST',
+                '/students': 'GET'
+            };
+            (apiKeys || []).forEach(apiKey => {
+                apiKey.scopes = apiKey.scopes.map(scope => (methods[scope] ? `${methods[scope]} ${scope}` : scope));
+            });
+        }
+    }
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+const migrationError = (message) => {
+    const error = new Error(message);
+    error.code = 'EMIGRATION';
+    return error;
+};
+
+const getSchemaVersion = (database) => {
+    return (database.meta && database.meta.schema && database.meta.schema.version) || 0;
+};
+
+// Returns null when the data is current, otherwise the migrated collections, the
+// migrations applied and the snapshot taken beforehand (see ../backups; skipped with
+// backup: false when the caller already has one; written to backupPath). Migrations run on a copy, so when one
+// throws nothing in memory or storage has changed.
+const runMigrations = (database, { backup = true, backupPath } = {}) => {
+    const currentVersion = getSchemaVersion(database);
+
+    if (currentVersion > LATEST_VERSION) {
+        throw migrationError(`Stored data is at schema version ${currentVersion} but this server only ` +
+            `knows up to version ${LATEST_VERSION}; run a newer server or restore an older backup`);
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+        return null;
+    }
+
+    const snapshot = backup ? createSnapshot(database, { reason: 'pre-migration', backupPath }) : null;
+    const data = cloneCollections(database);
+    const history = (data.meta && data.meta.schema && data.meta.schema.history) || [];
+
+    pending.forEach(migration => {
+        try {
+            migration.up(data);
+        } catch (error) {
+            throw migrationError(`Schema migration ${migration.version} (${migration.name}) failed: ${error.message}. ` +
+                'No data was changed' + (snapshot ? `; the data before migrating is saved in snapshot ${snapshot.name}` : ''));
+        }
+        history.push({ version: migration.version, name: migration.name, appliedAt: new Date() });
+    });
+
+    data.meta = {
+        ...data.meta,
+        schema: { version: LATEST_VERSION, history }
+    };
+
+    return { data, applied: pending, snapshot };
+};
+
+module.exports = {
+    migrations,
+    LATEST_VERSION,
+    getSchemaVersion,
+    runMigrations
+};
@@ -0,0 +1,302 @@
+// routes/openapi.js
+// OpenAPI 3 document built from the router itself: paths and methods from the registered
+// routes, inputs and responses from the schema each route validates with (./schemas), and
+// security from the authentication and role middleware in front of the handler. Nothing
+// here is written by hand per route, so the document cannot fall behind the code. Each
+// API version gets its own document.
+const { authenticateToken, API_KEY_SCOPES, DEFAULT_API_VERSION, schemaForVersion } = require('../middleware/auth');
+const { schemas } = require('./schemas');
+const { description } = require('../package.json');
+
+// Validator rule keywords and their JSON Schema names
+const KEYWORDS = {
+    description: 'description',
+    deprecated: 'deprecated',
+    enum: 'enum',
+    format: 'format',
+    nullable: 'nullable',
+    minLength: 'minLength',
+    maxLength: 'maxLength',
+    min: 'minimum',
+    max: 'maximum',
+    minItems: 'minItems',
+    maxItems: 'maxItems'
+};
+
+// Convert a validator rule (see ../utils/validator) to a JSON Schema
+const toJsonSchema = (rule) => {
+    const schema = {};
+    if (rule.type) {
+        schema.type = rule.type;
+    }
+    Object.entries(KEYWORDS)
+        .filter(([keyword]) => rule[keyword] !== undefined)
+        .forEach(([keyword, name]) => {
+            schema[name] = rule[keyword];
+        });
+    if (rule.pattern) {
+        schema.pattern = rule.pattern.source;
+    }
+    if (rule.items) {
+        schema.items = toJsonSchema(rule.items);
+    }
+
+    if (rule.type === 'object') {
+        const properties = rule.properties || {};
+        if (rule.properties) {
+            schema.properties = Object.fromEntries(
+                Object.entries(properties).map(([key, propertyRule]) => [key, toJsonSchema(propertyRule)])
+            );
+            const required = Object.keys(properties).filter(key => properties[key].required);
+            if (required.length > 0) {
+                schema.required = required;
+            }
+        }
+        const { additionalProperties = !rule.properties } = rule;
+        schema.additionalProperties = typeof additionalProperties === 'object'
+            ? toJsonSchema(additionalProperties)
+            : additionalProperties;
+    }
+
+    return schema;
+};
+
+// Every JSON response is wrapped by res.apiSuccess / res.apiError (see ../middleware/auth)
+const successEnvelope = (data) => ({
+    type: 'object',
+    required: ['success', 'message', 'data', 'timestamp'],
+    properties: {
+        success: { type: 'boolean', enum: [true] },
+        message: { type: 'string' },
+        data,
+        timestamp: { type: 'string', format: 'date-time' },
+        version: { type: 'string' }
+    }
+});
+
+const components = {
+    securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        studentPass: { type: 'apiKey', in: 'header', name: 'X-Student-Pass' }
+    },
+    schemas: {
+        Error: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string' },
+                message: { type: 'string' },
+                details: {},
+                timestamp: { type: 'string', format: 'date-time' },
+                version: { type: 'string' }
+            }
+        },
+        ValidationError: {
+            type: 'object',
+            required: ['success', 'error', 'message', 'details'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string', enum: ['Validation error'] },
+                message: { type: 'string' },
+                details: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['location', 'field', 'message'],
+                        properties: {
+                            location: { type: 'string', enum: ['params', 'query', 'body'] },
+                            field: { type: 'string' },
+                            message: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    responses: {
+        ValidationError: {
+            description: 'The request is invalid',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        Unauthorized: {
+            description: 'Missing, invalid or expired credentials',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        Forbidden: {
+            description: 'The caller may not use this route or reach this record',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        NotFound: {
+            description: 'The record does not exist',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        ServerError: {
+            description: 'Unexpected error',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+    }
+};
+
+const describeParameters = (location, fields = {}) => Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(rule.required),
+    schema: toJsonSchema(rule)
+}));
+
+const describeRequestBody = (schema) => {
+    if (schema.upload) {
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [schema.upload],
+                        properties: { [schema.upload]: { type: 'string', format: 'binary' } }
+                    }
+                }
+            }
+        };
+    }
+    if (!schema.body) {
+        return undefined;
+    }
+    const body = toJsonSchema({ type: 'object', properties: schema.body, additionalProperties: true });
+    return {
+        required: Boolean(body.required),
+        content: { 'application/json': { schema: body } }
+    };
+};
+
+// Sent by routes using the deprecated middleware (see ../middleware/auth)
+const deprecationHeaders = {
+    Deprecation: { description: 'When this route or some of its fields were deprecated', schema: { type: 'string' } },
+    Sunset: { description: 'When the deprecated route or fields stop being available', schema: { type: 'string' } },
+    Link: { description: 'The same route in the newest API version (rel="successor-version")', schema: { type: 'string' } }
+};
+
+const describeSuccess = (schema) => {
+    if (schema.produces) {
+        return {
+            description: schema.summary,
+            content: { [schema.produces]: { schema: { type: 'string', format: 'binary' } } }
+        };
+    }
+    const data = schema.response === null
+        ? { nullable: true, enum: [null] }
+        : toJsonSchema(schema.response || {});
+    return {
+        description: schema.summary,
+        content: { 'application/json': { schema: successEnvelope(data) } }
+    };
+};
+
+const describeOperation = (method, routePath, handles, version) => {
+    const validator = handles.find(handle => handle.schema);
+    const schema = validator ? schemaForVersion(validator.schema, version) : {};
+    const name = validator && Object.keys(schemas).find(key => schemas[key] === validator.schema);
+    const tokenAuth = handles.includes(authenticateToken) ||
+        handles.some(handle => handle.allowsChallengeToken || handle.acceptsToken);
+    const studentAuth = handles.some(handle => handle.acceptsStudentPass);
+    const roleCheck = handles.find(handle => handle.roles);
+    const deprecation = handles
+        .map(handle => handle.deprecation)
+        .find(candidate => candidate && candidate.versions.includes(version));
+
+    const operation = {
+        tags: [routePath.split('/')[1]],
+        ...(name && { operationId: name }),
+        ...(schema.summary && { summary: schema.summary }),
+        parameters: [
+            ...describeParameters('path', schema.params),
+            ...describeParameters('query', schema.query)
+        ],
+        requestBody: describeRequestBody(schema),
+        responses: {
+            [schema.status || 200]: describeSuccess(schema)
+        }
+    };
+
+    if (schema.params || schema.query || schema.body) {
+        operation.responses[400] = { $ref: '#/components/responses/ValidationError' };
+    }
+    if (tokenAuth || studentAuth) {
+        operation.security = [];
+        if (tokenAuth) {
+            operation.security.push({ bearerAuth: [] });
+            if (API_KEY_SCOPES.includes(`${method.toUpperCase()} ${routePath}`)) {
+                operation.security.push({ apiKeyHeader: [] });
+            }
+        }
+        // The 2FA enrollment routes also take the challenge token from the login response
+        if (handles.some(handle => handle.allowsChallengeToken)) {
+            operation.security.push({});
+        }
+        if (studentAuth) {
+            operation.security.push({ studentPass: [] });
+        }
+        operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+        operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+    }
+    if (roleCheck) {
+        operation['x-roles'] = roleCheck.roles;
+        operation.description = `Roles: ${roleCheck.roles.join(', ')}`;
+    }
+    if (schema.params) {
+        operation.responses[404] = { $ref: '#/components/responses/NotFound' };
+    }
+    if (deprecation) {
+        // A whole route is deprecated, or only the fields marked deprecated in its response
+        if (deprecation.fields.length === 0) {
+            operation.deprecated = true;
+        }
+        operation['x-sunset'] = deprecation.sunset;
+        operation.responses[schema.status || 200].headers = deprecationHeaders;
+    }
+    operation.responses[500] = { $ref: '#/components/responses/ServerError' };
+
+    if (operation.parameters.length === 0) {
+        delete operation.parameters;
+    }
+    if (!operation.requestBody) {
+        delete operation.requestBody;
+    }
+    return operation;
+};
+
+// Build the document of one API version for an express router served at /api/v<major>
+const buildOpenApiDocument = (router, { version = DEFAULT_API_VERSION } = {}) => {
+    const paths = {};
+
+    router.stack
+        .filter(layer => layer.route)
+        .forEach(({ route }) => {
+            const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+            const handles = route.stack.map(layer => layer.handle);
+            paths[openApiPath] = paths[openApiPath] || {};
+            Object.keys(route.methods).forEach(method => {
+                paths[openApiPath][method] = describeOperation(method, route.path, handles, version);
+            });
+        });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'DC Management API',
+            description: `${description}. The same routes are served without the version prefix ` +
+                `at /api, in the version named by the Accept-Version header (${DEFAULT_API_VERSION} when absent).`,
+            version
+        },
+        servers: [{ url: `/api/v${parseInt(version)}` }],
+        paths,
+        components
+    };
+};
+
+module.exports = {
+    toJsonSchema,
+    buildOpenApiDocument
+};
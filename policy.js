@@ -0,0 +1,98 @@
+// middleware/policy.js
+// Resource-level authorization: which hostel and floor records a caller may touch.
+//   admin  - every hostel
+//   warden - every floor of their specificHostel
+//   dc     - their specificHostel and floor
+//   device - the hostel (and floor, when set) its API key was issued for
+
+const getScope = (principal) => {
+    const role = (principal && principal.role) || 'dc';
+
+    if (role === 'admin') {
+        return { level: 'global' };
+    }
+
+    if (!principal.specificHostel) {
+        return { level: 'none' };
+    }
+
+    if (role === 'warden' || (role === 'device' && !principal.floor)) {
+        return { level: 'hostel', hostel: principal.specificHostel };
+    }
+
+    if (!principal.floor) {
+        return { level: 'none' };
+    }
+
+    return { level: 'floor', hostel: principal.specificHostel, floor: principal.floor };
+};
+
+// Records without a hostel are only reachable with global scope; records without a floor
+// (e.g. hostel-wide complaints) are reachable by anyone scoped to that hostel
+const canAccess = (principal, target) => {
+    const scope = getScope(principal);
+
+    if (scope.level === 'global') {
+        return true;
+    }
+
+    if (scope.level === 'none' || !target || !target.hostel || target.hostel !== scope.hostel) {
+        return false;
+    }
+
+    return scope.level === 'hostel' || !target.floor || target.floor === scope.floor;
+};
+
+// Keep the items whose target (hostel/floor) the principal can access
+const filterByScope = (principal, items, getTarget = item => item) => {
+    return items.filter(item => canAccess(principal, getTarget(item)));
+};
+
+const logDenial = (req, details) => {
+    console.warn(JSON.stringify({
+        event: 'authorization_denied',
+        method: req.method,
+        url: req.originalUrl || req.url,
+        ...(req.user && req.user.id && { userId: req.user.id }),
+        ...(req.apiKey && { apiKeyId: req.apiKey.id }),
+        role: req.dcData ? req.dcData.role || 'dc' : null,
+        scope: req.dcData ? getScope(req.dcData) : null,
+        ...details,
+        timestamp: new Date().toISOString()
+    }));
+};
+
+// Send a 403 (and log it) when the caller's assignment does not cover the target.
+// Returns true when access is allowed.
+const enforceScope = (req, res, target, details = {}) => {
+    if (canAccess(req.dcData, target)) {
+        return true;
+    }
+
+    logDenial(req, {
+        ...details,
+        targetHostel: target ? target.hostel || null : null,
+        targetFloor: target ? target.floor || null : null
+    });
+    res.apiError('You do not have access to this resource', 403);
+    return false;
+};
+
+// Admins manage everyone except themselves; wardens manage plain DCs in their own
+// hostel, plus DCs not yet assigned anywhere
+const canManageDC = (manager, dc) => {
+    if (manager.role === 'admin') {
+        return dc.id !== manager.id;
+    }
+    return manager.role === 'warden' && (dc.role || 'dc') === 'dc' &&
+        (!dc.specificHostel || dc.specificHostel === manager.specificHostel);
+};
+
+module.exports = {
+    getScope,
+    canAccess,
+    filterByScope,
+    enforceScope,
+    canManageDC,
+    logDenial
+};
@@ -0,0 +1,133 @@
+// tests/qrAttendance.test.js
+// Signed attendance QR codes: students check in with the code their DC displays and
+// their own pass; gate scanners check in the student named by the code they scan.
+const { request, createTestApp, createDC, login } = require('./helpers');
+const attendanceQr = require('../utils/attendanceQr');
+
+describe('QR code attendance', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let dcAuth;
+    let alice;
+    let bob;
+
+    const issuePass = async (student) => {
+        const res = await request(app).post(`/api/students/${student.id}/attendance-pass`).set('Authorization', dcAuth);
+        expect(res.status).toBe(200);
+        return res.body.data.pass;
+    };
+
+    const displayedCode = async () => {
+        const res = await request(app).get('/api/attendance/generate-qr').set('Authorization', dcAuth);
+        expect(res.status).toBe(200);
+        return res.body.data.qrData;
+    };
+
+    const scan = (qrData, headers = {}, body = {}) => {
+        const req = request(app).post('/api/attendance/qr-code');
+        Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+        return req.send({ qrData, ...body });
+    };
+
+    beforeEach(async () => {
+        ({ app, dbManager, cleanup } = createTestApp());
+        const dc = createDC(dbManager);
+        dcAuth = `Bearer ${(await login(app, dc.email)).token}`;
+        alice = dbManager.createStudent({ name: 'Alice', rollNumber: 'QR001', hostel: 'himgiri', floor: 'first', room: '101', present: false });
+        bob = dbManager.createStudent({ name: 'Bob', rollNumber: 'QR002', hostel: 'himgiri', floor: 'first', room: '102', present: false });
+    });
+
+    afterEach(() => cleanup());
+
+    const isPresent = (student) => dbManager.database.students.find(s => s.id === student.id).present;
+
+    test('a student checks in once with a displayed code and their pass', async () => {
+        const qrData = await displayedCode();
+        const pass = await issuePass(alice);
+
+        const first = await scan(qrData, { 'X-Student-Pass': pass });
+        expect(first.status).toBe(200);
+        expect(first.body.data).toMatchObject({ studentId: alice.id, present: true, method: 'qr_code' });
+
+        const replay = await scan(qrData, { 'X-Student-Pass': pass });
+        expect(replay.status).toBe(409);
+    });
+
+    test('a roll number in the body cannot check in another student', async () => {
+        const qrData = await displayedCode();
+        const pass = await issuePass(alice);
+
+        const anonymous = await scan(qrData, {}, { rollNumber: bob.rollNumber });
+        expect(anonymous.status).toBe(401);
+
+        const asAlice = await scan(qrData, { 'X-Student-Pass': pass }, { rollNumber: bob.rollNumber });
+        expect(asAlice.status).toBe(200);
+        expect(asAlice.body.data.studentId).toBe(alice.id);
+
+        const again = await scan(qrData, { 'X-Student-Pass': pass }, { rollNumber: bob.rollNumber });
+        expect(again.status).toBe(409);
+        expect(isPresent(bob)).toBe(false);
+    });
+
+    test('issuing a new pass retires the old one', async () => {
+        const oldPass = await issuePass(alice);
+        await issuePass(alice);
+
+        const res = await scan(await displayedCode(), { 'X-Student-Pass': oldPass });
+        expect(res.status).toBe(401);
+    });
+
+    test('forged codes and passes are refused', async () => {
+        const pass = await issuePass(alice);
+        const qrData = await displayedCode();
+        const [prefix, version, payload] = qrData.split(':');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        const tampered = Buffer.from(JSON.stringify({ ...claims, floor: 'second' })).toString('base64url');
+
+        const forgedCode = await scan(`${prefix}:${version}:${tampered}:${qrData.split(':')[3]}`, { 'X-Student-Pass': pass });
+        expect(forgedCode.status).toBe(400);
+
+        // A code is not a pass, even though both are signed with the same key
+        const codeAsPass = await scan(qrData, { 'X-Student-Pass': qrData });
+        expect(codeAsPass.status).toBe(401);
+    });
+
+    test('a gate scanner checks in the student named by the code, once', async () => {
+        const admin = createDC(dbManager, { role: 'admin', specificHostel: '', floor: '' });
+        const adminAuth = `Bearer ${(await login(app, admin.email)).token}`;
+        const keyRes = await request(app).post('/api/admin/api-keys').set('Authorization', adminAuth)
+            .send({ name: 'Gate scanner', hostel: 'himgiri', scopes: ['POST /attendance/qr-code'] });
+        expect(keyRes.status).toBe(201);
+        const scanner = { 'X-API-Key': keyRes.body.data.key };
+
+        const pass = await issuePass(alice);
+        const own = await request(app).get('/api/attendance/my-qr-code').set('X-Student-Pass', pass);
+        expect(own.status).toBe(200);
+
+        const first = await scan(own.body.data.qrData, scanner);
+        expect(first.status).toBe(200);
+        expect(first.body.data.studentId).toBe(alice.id);
+
+        const replay = await scan(own.body.data.qrData, scanner);
+        expect(replay.status).toBe(409);
+
+        // Bob cannot use Alice's code with his own pass either
+        const bobPass = await issuePass(bob);
+        const borrowed = await scan(own.body.data.qrData, { 'X-Student-Pass': bobPass });
+        expect(borrowed.status).toBe(403);
+
+        // Displayed codes do not name a student, so a scanner cannot use them
+        const displayed = await scan(await displayedCode(), scanner);
+        expect(displayed.status).toBe(400);
+        expect(isPresent(bob)).toBe(false);
+    });
+
+    test('codes for another hostel are refused', async () => {
+        const pass = await issuePass(alice);
+        const { qrData } = attendanceQr.createCode({ issuer: 'dc:99', hostel: 'nilgiri' });
+
+        const res = await scan(qrData, { 'X-Student-Pass': pass });
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,93 @@
+// tests/rollCalls.test.js
+// Roll calls: marks during the window belong to the roll call, late marks are flagged
+// during the grace period, and a roll call nobody closes closes itself afterwards.
+const { request, createTestApp, createDC, login } = require('./helpers');
+const config = require('../config');
+const { campusDate } = require('../utils/campusTime');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('Roll calls', () => {
+    let app;
+    let dbManager;
+    let cleanup;
+    let dcAuth;
+    let students;
+
+    const openRollCall = (body) => request(app).post('/api/attendance/roll-calls').set('Authorization', dcAuth).send(body);
+    const mark = (student, present = true) => request(app).post('/api/attendance/manual')
+        .set('Authorization', dcAuth)
+        .send({ studentId: student.id, present });
+
+    beforeEach(async () => {
+        ({ app, dbManager, cleanup } = createTestApp());
+        const dc = createDC(dbManager);
+        dcAuth = `Bearer ${(await login(app, dc.email)).token}`;
+        students = ['RC001', 'RC002', 'RC003'].map((rollNumber, index) => dbManager.createStudent({
+            name: `Student ${index}`, rollNumber, hostel: 'himgiri', floor: 'first', room: `10${index}`, present: false
+        }));
+    });
+
+    afterEach(() => cleanup());
+
+    test('marks in the window belong to the roll call and closing marks the rest absent', async () => {
+        const opened = await openRollCall({ endsAt: minutesFromNow(30) });
+        expect(opened.status).toBe(201);
+
+        const res = await mark(students[0]);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ rollCallId: opened.body.data.id, late: false });
+
+        const closed = await request(app).post(`/api/attendance/roll-calls/${opened.body.data.id}/close`).set('Authorization', dcAuth);
+        expect(closed.status).toBe(200);
+        // Rahul Sharma (ST001) is on the same floor in the default data
+        expect(closed.body.data.summary).toMatchObject({ present: 1, absent: closed.body.data.summary.total - 1 });
+        expect(dbManager.database.students.find(s => s.id === students[1].id).present).toBe(false);
+    });
+
+    test('a roll call that has not started does not block marks', async () => {
+        expect((await openRollCall({ startsAt: minutesFromNow(60), endsAt: minutesFromNow(120), methods: ['qr_code'] })).status).toBe(201);
+
+        const res = await mark(students[0]);
+        expect(res.status).toBe(200);
+        expect(res.body.data.rollCallId).toBeUndefined();
+    });
+
+    test('marks in the grace period are late and dated when they are made', async () => {
+        const opened = await openRollCall({ startsAt: minutesFromNow(-120), endsAt: minutesFromNow(-1) });
+        expect(opened.status).toBe(201);
+
+        const res = await mark(students[0]);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ rollCallId: opened.body.data.id, late: true });
+        expect(dbManager.getRollCallAttendance(opened.body.data.id)[0].date).toBe(campusDate());
+    });
+
+    test('a roll call past its grace period is ignored and closes itself', async () => {
+        const grace = config.attendance.rollCallGraceMinutes;
+        const opened = await openRollCall({
+            startsAt: minutesFromNow(-grace - 120),
+            endsAt: minutesFromNow(-grace - 1),
+            lateMarks: 'reject'
+        });
+        expect(opened.status).toBe(201);
+
+        const res = await mark(students[0]);
+        expect(res.status).toBe(200);
+        expect(res.body.data.rollCallId).toBeUndefined();
+
+        const closed = dbManager.closeExpiredRollCalls();
+        expect(closed.map(rollCall => rollCall.id)).toEqual([opened.body.data.id]);
+        expect(dbManager.getRollCall(opened.body.data.id)).toMatchObject({ status: 'closed', closedBy: null });
+        // Marked outside the roll call, so everyone on the floor is absent from it
+        expect(dbManager.getRollCallAttendance(opened.body.data.id).every(record => !record.present)).toBe(true);
+    });
+
+    test('an expired roll call does not stop a new one from opening', async () => {
+        const grace = config.attendance.rollCallGraceMinutes;
+        await openRollCall({ startsAt: minutesFromNow(-grace - 120), endsAt: minutesFromNow(-grace - 1) });
+
+        const res = await openRollCall({ endsAt: minutesFromNow(30) });
+        expect(res.status).toBe(201);
+    });
+});
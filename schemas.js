@@ -0,0 +1,914 @@
+// routes/schemas.js
+// Schemas for every route in ./index.js (see ../utils/validator for the rules): the
+// params, query and body a route accepts, a one-line summary, and the shape of the `data`
+// its res.apiSuccess sends (response; null when it sends none) with the status used.
+// Routes answering with something other than JSON name the media type in `produces`,
+// uploads name their form field in `upload`, and `versions` overrides any of this for an
+// older API version (e.g. { '1.0': { response } }). The same definitions validate requests,
+// build the OpenAPI document (./openapi) and check responses in test mode. Checks that
+// need stored data, such as whether a hostel exists or a password meets the policy, stay
+// in the handlers.
+const { ROLES, API_KEY_SCOPES } = require('../middleware/auth');
+const { COLLECTIONS } = require('../database/storage');
+const { ERROR_CORRECTION_LEVELS } = require('../utils/attendanceQr');
+
+const COMPLAINT_STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed'];
+const COMPLAINT_PRIORITIES = ['Low', 'Medium', 'High'];
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+const HOSTEL_TYPES = ['boys', 'girls'];
+const ATTENDANCE_METHODS = ['manual', 'face_recognition', 'qr_code'];
+// Statuses a DC gives in a floor roll call; leave is recorded as absent with onLeave
+const ROLL_CALL_ENTRY_STATUSES = ['present', 'absent', 'leave'];
+const ROLL_CALL_STATUSES = ['open', 'closed'];
+// What happens to marks after a roll call's window ends while it is still open
+const LATE_MARK_POLICIES = ['flag', 'reject'];
+
+// Everything but the bookkeeping collection can be restored from a snapshot
+const RESTORABLE_COLLECTIONS = Object.keys(COLLECTIONS).filter(collection => collection !== 'meta');
+
+// Shared field rules
+const id = { type: 'integer', required: true, min: 1 };
+const email = { type: 'string', format: 'email', maxLength: 254 };
+const password = { type: 'string', maxLength: 128 };
+const personName = { type: 'string', minLength: 2, maxLength: 100 };
+const phone = { type: 'string', pattern: /^\+?[0-9 ()-]{7,20}$/, message: 'must be a phone number' };
+const hostel = { type: 'string', maxLength: 50 };
+const floor = { type: 'string', maxLength: 50 };
+const room = { type: 'string', maxLength: 20 };
+const deviceName = { type: 'string', maxLength: 100 };
+const totpCode = { type: 'string', pattern: /^\d{3} ?\d{3}$/, message: 'must be a 6-digit code' };
+const recoveryCode = { type: 'string', maxLength: 20 };
+const challengeToken = { type: 'string', maxLength: 2048 };
+// Email verification and password reset tokens are 32 random bytes in hex
+const emailToken = { type: 'string', pattern: /^[a-f0-9]{64}$/, message: 'is not a valid token' };
+
+// Response shapes. Dates are sent as ISO 8601 strings.
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const listOf = (items) => ({ type: 'array', items });
+const required = (rule) => ({ ...rule, required: true });
+const text = { type: 'string' };
+const count = { type: 'integer', required: true, min: 0 };
+const flag = { type: 'boolean', required: true };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { ...dateTime, nullable: true };
+
+const dcAccount = object({
+    id: id,
+    name: required(text),
+    email: required(text),
+    employeeId: text,
+    contact: text,
+    role: { type: 'string', required: true, enum: ROLES },
+    isActive: { type: 'boolean' },
+    lockedUntil: nullableDateTime,
+    twoFactorEnabled: flag,
+    approvalStatus: { type: 'string', required: true, enum: APPROVAL_STATUSES },
+    emailVerified: flag,
+    hostelType: text,
+    specificHostel: text,
+    floor: text,
+    assignedDC: text,
+    createdAt: dateTime,
+    updatedAt: dateTime
+});
+
+// Tokens and profile returned once a login completes
+const loginSession = {
+    token: text,
+    refreshToken: text,
+    expiresIn: text,
+    sessionId: { type: 'string', format: 'uuid' },
+    dc: object({
+        id: id,
+        name: required(text),
+        email: required(text),
+        employeeId: text,
+        contact: text,
+        hostelType: text,
+        specificHostel: text,
+        floor: text,
+        profilePic: { type: 'string', nullable: true }
+    })
+};
+
+const session = object({
+    id: { type: 'string', required: true, format: 'uuid' },
+    device: text,
+    ip: text,
+    userAgent: text,
+    createdAt: dateTime,
+    lastSeenAt: dateTime,
+    expiresAt: nullableDateTime,
+    current: flag
+});
+
+const apiKeyProperties = {
+    id: id,
+    name: required(text),
+    prefix: required(text),
+    scopes: { type: 'array', required: true, items: { type: 'string', enum: API_KEY_SCOPES } },
+    hostel: required(text),
+    floor: text,
+    createdBy: { type: 'integer' },
+    createdAt: dateTime,
+    expiresAt: nullableDateTime,
+    lastUsedAt: nullableDateTime,
+    lastUsedIp: { type: 'string', nullable: true },
+    revokedAt: nullableDateTime
+};
+
+const hostelSettings = object({
+    requireTwoFactor: flag,
+    updatedBy: { type: 'integer' },
+    updatedAt: dateTime
+});
+
+const integrityProperties = {
+    issueCount: count,
+    checks: {
+        type: 'array',
+        required: true,
+        items: object({
+            check: required(text),
+            description: text,
+            // The id is a record id, a sequence name or a hostel key depending on the check
+            issues: { type: 'array', required: true, items: object({ collection: required(text), id: {}, message: required(text) }) },
+            repaired: flag
+        })
+    }
+};
+
+const snapshot = object({
+    name: required(text),
+    reason: required(text),
+    size: count,
+    createdAt: required(dateTime)
+});
+
+const dashboardStats = {
+    totalStudents: count,
+    presentToday: count,
+    absentToday: count,
+    ironsBorrowed: count,
+    availableIrons: count,
+    openComplaints: count
+};
+const dashboardHostel = object({ name: text, floor: text, type: text });
+
+const student = object({
+    id: id,
+    name: required(text),
+    rollNumber: required(text),
+    hostel: required(text),
+    floor: required(text),
+    room: required(text),
+    present: flag,
+    email: text,
+    phone: text,
+    // Raised each time a new attendance pass is issued
+    attendancePassVersion: { type: 'integer' },
+    createdAt: dateTime
+});
+
+const attendanceMark = (method, extra = {}) => object({
+    studentId: id,
+    studentName: required(text),
+    ...extra,
+    present: flag,
+    method: { type: 'string', required: true, enum: [method] },
+    // Only for marks made during a roll call
+    rollCallId: { type: 'integer' },
+    late: { type: 'boolean' }
+});
+
+const attendanceRecord = object({
+    id: id,
+    studentId: id,
+    present: flag,
+    // roll_call for the absences recorded when a roll call closes
+    method: required(text),
+    rollCallId: { type: 'integer' },
+    late: { type: 'boolean' },
+    onLeave: { type: 'boolean' },
+    date: { type: 'string', required: true, format: 'date' },
+    createdAt: dateTime,
+    updatedAt: dateTime
+});
+
+const rollCallProperties = {
+    id: id,
+    hostel: required(text),
+    floor: required(text),
+    title: text,
+    startsAt: required(dateTime),
+    endsAt: required(dateTime),
+    methods: { type: 'array', required: true, items: { type: 'string', enum: ATTENDANCE_METHODS } },
+    lateMarks: { type: 'string', required: true, enum: LATE_MARK_POLICIES },
+    status: { type: 'string', required: true, enum: ROLL_CALL_STATUSES },
+    openedBy: { type: 'integer' },
+    closedAt: nullableDateTime,
+    closedBy: { type: 'integer', nullable: true },
+    // Set when the roll call closes
+    summary: {
+        ...object({ total: count, present: count, late: count, absent: count }),
+        required: true,
+        nullable: true
+    },
+    createdAt: dateTime
+};
+const rollCall = object(rollCallProperties);
+
+const attendanceDay = object({
+    date: { type: 'string', required: true, format: 'date' },
+    // Campus time zone the day was counted in
+    timezone: required(text),
+    totalStudents: count,
+    present: count,
+    absent: count,
+    floors: required(listOf(object({ hostel: text, floor: text, totalStudents: count, present: count }))),
+    archivedAt: dateTime
+});
+
+const complaint = object({
+    id: id,
+    title: required(text),
+    description: required(text),
+    submittedBy: required(text),
+    room: text,
+    hostel: text,
+    floor: text,
+    priority: { type: 'string', required: true, enum: COMPLAINT_PRIORITIES },
+    category: text,
+    status: { type: 'string', required: true, enum: COMPLAINT_STATUSES },
+    timestamp: required(dateTime),
+    updatedAt: dateTime
+});
+
+const iron = object({
+    ironId: id,
+    available: flag,
+    borrowedBy: { type: 'string', nullable: true },
+    borrowedAt: nullableDateTime,
+    returnBy: nullableDateTime,
+    room: { type: 'string', nullable: true }
+});
+
+const hostelInfo = object({
+    name: required(text),
+    capacity: count,
+    floors: { type: 'array', required: true, items: { type: 'string' } }
+});
+
+const schemas = {
+    // ===== AUTHENTICATION =====
+    register: {
+        summary: 'Register a DC account (pending email verification and approval)',
+        body: {
+            name: { ...personName, required: true },
+            email: { ...email, required: true },
+            password: { ...password, required: true },
+            employeeId: { type: 'string', required: true, maxLength: 50 },
+            contact: phone
+        },
+        status: 201,
+        response: object({
+            dc: required(object({
+                id: id,
+                name: required(text),
+                email: required(text),
+                employeeId: required(text),
+                contact: text,
+                approvalStatus: { type: 'string', required: true, enum: APPROVAL_STATUSES },
+                emailVerified: flag
+            }))
+        })
+    },
+    login: {
+        summary: 'Log in with email and password',
+        body: {
+            email: { ...email, required: true },
+            password: { ...password, required: true },
+            deviceName
+        },
+        // Tokens, or a challenge token when a second factor or 2FA enrollment is needed
+        response: object({
+            ...loginSession,
+            twoFactorRequired: { type: 'boolean' },
+            twoFactorSetupRequired: { type: 'boolean' },
+            challengeToken: text
+        })
+    },
+    loginTwoFactor: {
+        summary: 'Complete a login with an authentication or recovery code',
+        body: {
+            challengeToken: { ...challengeToken, required: true },
+            code: totpCode,
+            recoveryCode,
+            deviceName
+        },
+        response: object({
+            ...loginSession,
+            recoveryCodesRemaining: { type: 'integer', min: 0 }
+        })
+    },
+    verifyEmail: {
+        summary: 'Verify an email address with the emailed token',
+        body: { token: { ...emailToken, required: true } },
+        response: object({
+            email: required(text),
+            approvalStatus: { type: 'string', enum: APPROVAL_STATUSES }
+        })
+    },
+    resendVerification: {
+        summary: 'Send a new verification email',
+        body: { email: { ...email, required: true } },
+        response: null
+    },
+    forgotPassword: {
+        summary: 'Email a password reset link',
+        body: { email: { ...email, required: true } },
+        response: null
+    },
+    resetPassword: {
+        summary: 'Choose a new password with the emailed reset token',
+        body: {
+            token: { ...emailToken, required: true },
+            newPassword: { ...password, required: true }
+        },
+        response: null
+    },
+    changePassword: {
+        summary: 'Change the password of the current DC',
+        body: {
+            currentPassword: { ...password, required: true },
+            newPassword: { ...password, required: true }
+        },
+        response: null
+    },
+
+    // ===== TWO-FACTOR AUTHENTICATION =====
+    twoFactorSetup: {
+        summary: 'Start two-factor setup and get the authenticator secret',
+        body: { challengeToken },
+        response: object({
+            secret: required(text),
+            otpauthUri: required(text)
+        })
+    },
+    twoFactorEnable: {
+        summary: 'Confirm two-factor setup with a code',
+        body: {
+            challengeToken,
+            code: { ...totpCode, required: true },
+            deviceName
+        },
+        // Finishing a required enrollment also returns the login tokens
+        response: object({
+            recoveryCodes: { type: 'array', required: true, items: { type: 'string' } },
+            ...loginSession
+        })
+    },
+    twoFactorDisable: {
+        summary: 'Turn off two-factor authentication',
+        body: {
+            password: { ...password, required: true },
+            code: totpCode,
+            recoveryCode
+        },
+        response: null
+    },
+    recoveryCodes: {
+        summary: 'Replace the recovery codes',
+        body: { code: { ...totpCode, required: true } },
+        response: object({
+            recoveryCodes: { type: 'array', required: true, items: { type: 'string' } }
+        })
+    },
+    refreshToken: {
+        summary: 'Exchange a refresh token for new tokens',
+        body: { refreshToken: { type: 'string', required: true, pattern: /^[a-f0-9]{96}$/, message: 'is not a valid refresh token' } },
+        response: object({
+            token: required(text),
+            refreshToken: required(text),
+            expiresIn: required(text)
+        })
+    },
+    logout: {
+        summary: 'Log out of the current session',
+        response: null
+    },
+
+    // ===== SESSIONS =====
+    listSessions: {
+        summary: 'List the active sessions of the current DC',
+        response: listOf(session)
+    },
+    revokeSession: {
+        summary: 'Log out one session',
+        params: { sessionId: { type: 'string', required: true, format: 'uuid' } },
+        response: null
+    },
+    revokeSessions: {
+        summary: 'Log out every other session, or all of them with includeCurrent',
+        query: { includeCurrent: { type: 'boolean' } },
+        response: object({ revoked: count })
+    },
+
+    // ===== PROFILE =====
+    getProfile: {
+        summary: 'Get the profile of the current DC',
+        response: object({
+            id: id,
+            name: required(text),
+            employeeId: text,
+            email: required(text),
+            contact: text,
+            hostelType: text,
+            specificHostel: text,
+            floor: text,
+            assignedDC: text,
+            profilePic: { type: 'string', nullable: true },
+            twoFactorEnabled: flag,
+            twoFactorRequired: flag,
+            createdAt: dateTime,
+            updatedAt: dateTime
+        })
+    },
+    updateProfile: {
+        summary: 'Update the name and contact number of the current DC',
+        body: {
+            name: personName,
+            contact: phone,
+            // Accepted only when unchanged (see the handler)
+            hostelType: { type: 'string' },
+            specificHostel: { type: 'string' },
+            floor: { type: 'string' },
+            assignedDC: { type: 'string' }
+        },
+        response: object({
+            id: id,
+            name: required(text),
+            contact: text,
+            hostelType: text,
+            specificHostel: text,
+            floor: text,
+            assignedDC: text
+        })
+    },
+    uploadProfilePicture: {
+        summary: 'Upload a profile picture',
+        upload: 'profilePic',
+        response: object({
+            profilePic: required(text),
+            filename: required(text)
+        })
+    },
+    removeProfilePicture: {
+        summary: 'Remove the profile picture',
+        response: null
+    },
+
+    // ===== DC ADMINISTRATION =====
+    listDCs: {
+        summary: 'List DC accounts in scope',
+        query: {
+            role: { type: 'string', enum: ROLES },
+            hostel,
+            isActive: { type: 'boolean' },
+            approvalStatus: { type: 'string', enum: APPROVAL_STATUSES }
+        },
+        response: listOf(dcAccount)
+    },
+    updateDCStatus: {
+        summary: 'Activate or deactivate a DC account',
+        params: { id },
+        body: { isActive: { type: 'boolean', required: true } },
+        response: dcAccount
+    },
+    updateDCApproval: {
+        summary: 'Approve or reject a registration',
+        params: { id },
+        body: {
+            decision: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+            reason: { type: 'string', maxLength: 500 }
+        },
+        response: dcAccount
+    },
+    revokeDCSessions: {
+        summary: 'Log a DC out of every session',
+        params: { id },
+        response: object({ revoked: count })
+    },
+    unlockDC: {
+        summary: 'Clear the login lockout of a DC account',
+        params: { id },
+        response: dcAccount
+    },
+    updateDCRole: {
+        summary: 'Change the role of a DC account',
+        params: { id },
+        body: { role: { type: 'string', required: true, enum: ROLES } },
+        response: dcAccount
+    },
+    updateDCAssignment: {
+        summary: 'Assign a DC to a hostel and floor',
+        params: { id },
+        body: {
+            specificHostel: { ...hostel, required: true },
+            floor,
+            assignedDC: { type: 'string', maxLength: 100 }
+        },
+        response: dcAccount
+    },
+    loginAudit: {
+        summary: 'List failed login attempts',
+        query: {
+            email,
+            dcId: { type: 'integer', min: 1 },
+            since: { type: 'string', format: 'date-time' }
+        },
+        response: listOf(object({
+            id: { type: 'string', required: true, format: 'uuid' },
+            email: text,
+            ip: text,
+            userAgent: text,
+            dcId: { type: 'integer', nullable: true },
+            reason: required(text),
+            failedLoginAttempts: { type: 'integer' },
+            timestamp: required(dateTime)
+        }))
+    },
+
+    // ===== API KEYS =====
+    listApiKeys: {
+        summary: 'List API keys for attendance devices',
+        query: {
+            hostel,
+            includeRevoked: { type: 'boolean' }
+        },
+        response: listOf(object(apiKeyProperties))
+    },
+    createApiKey: {
+        summary: 'Issue an API key; the key is only shown in this response',
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            hostel: { ...hostel, required: true },
+            floor,
+            scopes: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+            expiresAt: { type: 'string', format: 'date-time' }
+        },
+        status: 201,
+        response: object({ ...apiKeyProperties, key: required(text) })
+    },
+    revokeApiKey: {
+        summary: 'Revoke an API key',
+        params: { id },
+        response: object(apiKeyProperties)
+    },
+    getHostelSecurity: {
+        summary: 'Get the security settings of a hostel',
+        params: { hostel: { ...hostel, required: true } },
+        response: hostelSettings
+    },
+    updateHostelSecurity: {
+        summary: 'Require two-factor authentication for the DCs of a hostel',
+        params: { hostel: { ...hostel, required: true } },
+        body: { requireTwoFactor: { type: 'boolean', required: true } },
+        response: hostelSettings
+    },
+
+    // ===== DATA MAINTENANCE =====
+    checkIntegrity: {
+        summary: 'Check stored data for dangling references and other inconsistencies',
+        response: object(integrityProperties)
+    },
+    repairIntegrity: {
+        summary: 'Repair the problems found by the integrity check',
+        response: object({
+            ...integrityProperties,
+            changed: { type: 'array', required: true, items: { type: 'string' } }
+        })
+    },
+    listSnapshots: {
+        summary: 'List data snapshots, newest first',
+        response: listOf(snapshot)
+    },
+    createSnapshot: {
+        summary: 'Take a data snapshot',
+        status: 201,
+        response: snapshot
+    },
+    downloadSnapshot: {
+        summary: 'Download a snapshot file',
+        params: { name: { type: 'string', required: true, maxLength: 200 } },
+        produces: 'application/gzip'
+    },
+    restoreSnapshot: {
+        summary: 'Restore collections from a snapshot',
+        params: { name: { type: 'string', required: true, maxLength: 200 } },
+        body: {
+            collections: { type: 'array', minItems: 1, items: { type: 'string', enum: RESTORABLE_COLLECTIONS } }
+        },
+        response: object({
+            snapshot: required(text),
+            restored: { type: 'array', required: true, items: { type: 'string' } },
+            safetySnapshot: required(text),
+            migrations: { type: 'array', required: true, items: { type: 'integer' } }
+        })
+    },
+
+    // ===== DASHBOARD =====
+    dashboardStats: {
+        summary: 'Get the statistics of the hostel or floor in scope',
+        response: object({
+            ...dashboardStats,
+            attendancePercentage: { type: 'number', required: true, min: 0, max: 100 },
+            hostelInfo: dashboardHostel
+        }),
+        versions: {
+            '1.0': {
+                response: object({
+                    ...dashboardStats,
+                    // Percentage with two decimals, e.g. "83.33"
+                    attendancePercentage: required(text),
+                    // Fixed placeholder values, removed in v2
+                    totalRooms: { ...count, deprecated: true },
+                    messStatus: { ...text, deprecated: true },
+                    laundryStatus: { ...text, deprecated: true },
+                    securityLevel: { ...text, deprecated: true },
+                    hostelInfo: dashboardHostel
+                })
+            }
+        }
+    },
+
+    // ===== STUDENTS =====
+    listStudents: {
+        summary: 'List students in scope',
+        query: { hostel, floor },
+        response: listOf(student)
+    },
+    getStudent: {
+        summary: 'Get a student',
+        params: { id },
+        response: student
+    },
+    createStudent: {
+        summary: 'Add a student',
+        body: {
+            name: { ...personName, required: true },
+            rollNumber: { type: 'string', required: true, maxLength: 30 },
+            hostel: { ...hostel, required: true },
+            floor: { ...floor, required: true },
+            room: { ...room, required: true },
+            email,
+            phone
+        },
+        status: 201,
+        response: student
+    },
+    issueAttendancePass: {
+        summary: 'Issue a student a new attendance pass, retiring the previous one',
+        params: { id },
+        response: object({
+            studentId: id,
+            studentName: required(text),
+            rollNumber: required(text),
+            // Sent by the student as the X-Student-Pass header
+            pass: required(text),
+            issuedAt: required(dateTime)
+        })
+    },
+
+    // ===== ATTENDANCE =====
+    manualAttendance: {
+        summary: 'Mark a student present or absent',
+        body: {
+            studentId: id,
+            present: { type: 'boolean', required: true }
+        },
+        response: attendanceMark('manual')
+    },
+    faceRecognitionAttendance: {
+        summary: 'Mark a student present after face recognition',
+        body: { studentId: id },
+        response: attendanceMark('face_recognition', { rollNumber: required(text) })
+    },
+    qrCodeAttendance: {
+        summary: 'Check a student in with a scanned attendance QR code',
+        // Students send the code their DC displays with their pass; scanners and DCs send
+        // the code a student shows
+        body: { qrData: { type: 'string', required: true, maxLength: 500 } },
+        response: attendanceMark('qr_code', { rollNumber: required(text) })
+    },
+    studentQr: {
+        summary: 'Get a QR code of the calling student for a gate scanner or DC to scan',
+        query: {
+            size: { type: 'integer', min: 64, max: 1024 },
+            errorCorrection: { type: 'string', enum: ERROR_CORRECTION_LEVELS }
+        },
+        response: object({
+            qrData: required(text),
+            studentId: id,
+            expiresAt: required(dateTime),
+            svg: required(text),
+            png: { type: 'string', required: true, pattern: /^data:image\/png;base64,/ }
+        })
+    },
+    generateQr: {
+        summary: 'Generate a signed attendance QR code for students to scan',
+        query: {
+            hostel,
+            floor,
+            // Image width in pixels
+            size: { type: 'integer', min: 64, max: 1024 },
+            errorCorrection: { type: 'string', enum: ERROR_CORRECTION_LEVELS },
+            // Rotating mode: seconds until the display should fetch a new code
+            rotate: { type: 'integer', min: 10, max: 300 }
+        },
+        response: object({
+            qrData: required(text),
+            hostel: required(text),
+            // Empty for a code covering the whole hostel
+            floor: text,
+            expiresAt: required(dateTime),
+            validFor: required(text),
+            svg: required(text),
+            // data:image/png;base64 URL
+            png: { type: 'string', required: true, pattern: /^data:image\/png;base64,/ },
+            // Only in rotating mode
+            refreshAt: dateTime
+        })
+    },
+    bulkAttendance: {
+        summary: 'Mark a whole floor at once; every entry is applied or none is',
+        body: {
+            hostel,
+            floor,
+            entries: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 500,
+                items: object({
+                    studentId: id,
+                    status: { type: 'string', required: true, enum: ROLL_CALL_ENTRY_STATUSES }
+                })
+            }
+        },
+        response: object({
+            hostel: required(text),
+            floor: required(text),
+            // Only while a roll call is open for the floor
+            rollCallId: { type: 'integer' },
+            summary: required(object({ total: count, present: count, absent: count, leave: count, late: count })),
+            results: required(listOf(object({
+                studentId: id,
+                studentName: required(text),
+                rollNumber: required(text),
+                status: { type: 'string', required: true, enum: ROLL_CALL_ENTRY_STATUSES },
+                present: flag,
+                late: { type: 'boolean' },
+                // false when an earlier mark of the day (or roll call) was overwritten
+                created: flag
+            }))),
+            // Students of the floor the request left out
+            notMarked: required(listOf({ type: 'integer' }))
+        })
+    },
+    openRollCall: {
+        summary: 'Open a roll call for a floor',
+        body: {
+            hostel,
+            floor,
+            title: { type: 'string', maxLength: 100 },
+            // Now when left out
+            startsAt: { type: 'string', format: 'date-time' },
+            endsAt: { type: 'string', required: true, format: 'date-time' },
+            // Every method when left out
+            methods: { type: 'array', minItems: 1, items: { type: 'string', enum: ATTENDANCE_METHODS } },
+            lateMarks: { type: 'string', enum: LATE_MARK_POLICIES }
+        },
+        status: 201,
+        response: rollCall
+    },
+    listRollCalls: {
+        summary: 'List roll calls in scope, newest first',
+        query: {
+            status: { type: 'string', enum: ROLL_CALL_STATUSES },
+            hostel,
+            floor
+        },
+        response: listOf(rollCall)
+    },
+    getRollCall: {
+        summary: 'Get a roll call with the marks made in it',
+        params: { id },
+        response: object({ ...rollCallProperties, attendance: required(listOf(attendanceRecord)) })
+    },
+    closeRollCall: {
+        summary: 'Close a roll call, marking everyone not yet marked absent',
+        params: { id },
+        response: rollCall
+    },
+    listAttendanceDays: {
+        summary: 'List the totals of past attendance days, newest first',
+        query: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' }
+        },
+        response: listOf(attendanceDay)
+    },
+    attendanceByDate: {
+        summary: 'List the attendance records of a day',
+        params: { date: { type: 'string', required: true, format: 'date' } },
+        response: listOf(attendanceRecord)
+    },
+
+    // ===== COMPLAINTS =====
+    listComplaints: {
+        summary: 'List complaints in scope',
+        query: {
+            status: { type: 'string', enum: COMPLAINT_STATUSES },
+            priority: { type: 'string', enum: COMPLAINT_PRIORITIES }
+        },
+        response: listOf(complaint)
+    },
+    createComplaint: {
+        summary: 'Submit a complaint (no login needed)',
+        body: {
+            title: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+            description: { type: 'string', required: true, maxLength: 2000 },
+            submittedBy: { type: 'string', required: true, maxLength: 100 },
+            room,
+            priority: { type: 'string', enum: COMPLAINT_PRIORITIES },
+            category: { type: 'string', maxLength: 50 },
+            hostel,
+            floor
+        },
+        status: 201,
+        response: complaint
+    },
+    updateComplaintStatus: {
+        summary: 'Change the status of a complaint',
+        params: { id },
+        body: { status: { type: 'string', required: true, enum: COMPLAINT_STATUSES } },
+        response: complaint
+    },
+
+    // ===== IRON BORROWING =====
+    listIrons: {
+        summary: 'List irons and who has borrowed them',
+        response: object({
+            total: count,
+            available: count,
+            borrowed: count,
+            irons: { ...listOf(iron), required: true }
+        })
+    },
+    borrowIron: {
+        summary: 'Borrow an iron',
+        body: {
+            ironId: id,
+            borrowerName: { type: 'string', required: true, maxLength: 100 },
+            room,
+            // Hours
+            duration: { type: 'integer', min: 1, max: 24 }
+        },
+        response: iron
+    },
+    returnIron: {
+        summary: 'Return a borrowed iron',
+        body: { ironId: id },
+        response: iron
+    },
+
+    // ===== HOSTELS =====
+    listHostels: {
+        summary: 'List hostels by type (no login needed)',
+        response: object(
+            Object.fromEntries(HOSTEL_TYPES.map(type => [type, { type: 'object', required: true, additionalProperties: hostelInfo }]))
+        )
+    },
+    getHostel: {
+        summary: 'Get a hostel (no login needed)',
+        params: {
+            type: { type: 'string', required: true, enum: HOSTEL_TYPES },
+            name: { ...hostel, required: true }
+        },
+        response: hostelInfo
+    },
+
+    // ===== API DOCUMENTATION =====
+    openApiDocument: {
+        summary: 'Get this OpenAPI document',
+        produces: 'application/json'
+    }
+};
+
+module.exports = {
+    COMPLAINT_STATUSES,
+    COMPLAINT_PRIORITIES,
+    ATTENDANCE_METHODS,
+    schemas
+};
@@ -0,0 +1,166 @@
+// database/storage/sqlite.js
+// SQLite backend (DB_CLIENT=sqlite). Each collection is a table of JSON documents keyed by
+// the collection's id field, so records keep the same shape as in the JSON files and only
+// the changed rows are written.
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { COLLECTIONS } = require('./index');
+
+class SqliteStorage {
+    constructor({ filename = config.storage.sqlitePath } = {}) {
+        // Native driver, only installed where the SQLite backend is used
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        this.db = new Database(filename, { timeout: config.storage.lockTimeoutMs });
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+
+        // A collection is seeded with its default data only the first time it is loaded.
+        // Its revision goes up with every write, so other processes can tell it changed.
+        this.db.exec('CREATE TABLE IF NOT EXISTS collections (name TEXT PRIMARY KEY, createdAt TEXT NOT NULL)');
+        this.db.exec('CREATE TABLE IF NOT EXISTS revisions (collection TEXT PRIMARY KEY, revision INTEGER NOT NULL)');
+        Object.keys(COLLECTIONS).forEach(collection => {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+        });
+
+        // Revision per collection as of our last read or write
+        this.revisions = {};
+        this.dataVersion = null;
+    }
+
+    // Run fn in an IMMEDIATE transaction, which holds SQLite's write lock across processes.
+    // Nested calls become savepoints.
+    lock(fn) {
+        return this.db.transaction(fn).immediate();
+    }
+
+    currentRevision(collection) {
+        const row = this.db.prepare('SELECT revision FROM revisions WHERE collection = ?').get(collection);
+        return row ? row.revision : 0;
+    }
+
+    bumpRevision(collection) {
+        this.db.prepare(
+            'INSERT INTO revisions (collection, revision) VALUES (?, 1) ' +
+            'ON CONFLICT(collection) DO UPDATE SET revision = revision + 1'
+        ).run(collection);
+        this.revisions[collection] = this.currentRevision(collection);
+    }
+
+    // data_version only moves when another connection commits, so the common case is a
+    // single pragma call
+    changedCollections() {
+        const dataVersion = this.db.pragma('data_version', { simple: true });
+        if (dataVersion === this.dataVersion) {
+            return [];
+        }
+        this.dataVersion = dataVersion;
+
+        return Object.keys(this.revisions)
+            .filter(collection => this.currentRevision(collection) !== this.revisions[collection]);
+    }
+
+    table(collection) {
+        if (!COLLECTIONS[collection]) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return `"${collection}"`;
+    }
+
+    isInitialized(collection) {
+        return Boolean(this.db.prepare('SELECT 1 FROM collections WHERE name = ?').get(collection));
+    }
+
+    // [key, record] pairs for an array of records or a map of entries
+    entries(collection, records) {
+        const { type, key } = COLLECTIONS[collection];
+        if (type === 'map') {
+            return Object.entries(records);
+        }
+        return records.map(record => [String(record[key]), record]);
+    }
+
+    load(collection, defaultData) {
+        if (!this.isInitialized(collection)) {
+            this.replace(collection, defaultData);
+            return defaultData;
+        }
+
+        this.revisions[collection] = this.currentRevision(collection);
+
+        // rowid keeps insertion order, matching the order of the JSON arrays
+        const rows = this.db.prepare(`SELECT key, data FROM ${this.table(collection)} ORDER BY rowid`).all();
+        if (COLLECTIONS[collection].type === 'map') {
+            return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.data)]));
+        }
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    save(collection, records) {
+        const upsert = this.db.prepare(
+            `INSERT INTO ${this.table(collection)} (key, data) VALUES (?, ?) ` +
+            'ON CONFLICT(key) DO UPDATE SET data = excluded.data'
+        );
+        this.db.transaction(() => {
+            this.entries(collection, records).forEach(([key, record]) => upsert.run(key, JSON.stringify(record)));
+            this.bumpRevision(collection);
+        })();
+    }
+
+    replace(collection, data) {
+        this.db.transaction(() => {
+            this.db.prepare(`DELETE FROM ${this.table(collection)}`).run();
+            this.save(collection, data);
+            this.db.prepare('INSERT OR IGNORE INTO collections (name, createdAt) VALUES (?, ?)')
+                .run(collection, new Date().toISOString());
+        })();
+    }
+
+    saveBatch(changes) {
+        this.db.transaction(() => {
+            changes.forEach(({ collection, records }) => this.save(collection, records));
+        })();
+    }
+
+    // save() already wrote every change, so this only writes what differs from the stored
+    // rows: nothing on autosave, the changed rows after a migration, restore or import.
+    // Untouched collections keep their revision, so other processes need not reload them.
+    flush(database) {
+        this.db.transaction(() => {
+            Object.keys(COLLECTIONS)
+                .filter(collection => database[collection] !== undefined)
+                .forEach(collection => this.writeChanges(collection, database[collection]));
+        })();
+    }
+
+    writeChanges(collection, data) {
+        if (!this.isInitialized(collection)) {
+            this.replace(collection, data);
+            return;
+        }
+
+        const stored = new Map(this.db.prepare(`SELECT key, data FROM ${this.table(collection)}`).all()
+            .map(row => [row.key, row.data]));
+        const entries = this.entries(collection, data);
+        const changed = entries.filter(([key, record]) => stored.get(key) !== JSON.stringify(record));
+        const keys = new Set(entries.map(([key]) => key));
+        const removed = [...stored.keys()].filter(key => !keys.has(key));
+        if (changed.length === 0 && removed.length === 0) {
+            return;
+        }
+
+        const remove = this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE key = ?`);
+        removed.forEach(key => remove.run(key));
+        this.save(collection, COLLECTIONS[collection].type === 'map'
+            ? Object.fromEntries(changed)
+            : changed.map(([, record]) => record));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
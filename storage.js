@@ -0,0 +1,62 @@
+// database/storage/index.js
+// Storage backends behind DatabaseManager, selected with DB_CLIENT (json or sqlite).
+// Every backend implements:
+//   load(collection, defaultData)   - read a collection, seeding defaultData the first time
+//   save(collection, records, data) - insert or update records (array collections) or
+//                                     entries (map collections, e.g. { himgiri: {...} });
+//                                     data is the whole collection, for backends that
+//                                     rewrite it
+//   replace(collection, data)       - overwrite a whole collection (used when pruning)
+//   saveBatch(changes)              - save() several collections at once, all or nothing;
+//                                     changes is [{ collection, records, data }]. Throws
+//                                     only when nothing was saved.
+//   flush(database)                 - make every stored collection match database (autosave,
+//                                     shutdown, migrations and restores)
+//   close()
+
+const config = require('../../config');
+
+// Persisted collections and the field that identifies their records. Collections with
+// sequence: true get numeric ids from DatabaseManager.nextId.
+const COLLECTIONS = {
+    dcs: { key: 'id', sequence: true },
+    students: { key: 'id', sequence: true },
+    complaints: { key: 'id', sequence: true },
+    ironBorrowing: { key: 'ironId' },
+    attendance: { key: 'id', sequence: true },
+    // Roll-call sessions a DC opens for a floor; attendance rows refer to them by rollCallId
+    rollCalls: { key: 'id', sequence: true },
+    // Per-floor totals of each past attendance day, archived at the campus midnight
+    attendanceDays: { key: 'date' },
+    sessions: { key: 'id' },
+    refreshTokens: { key: 'id' },
+    revokedTokens: { key: 'jti' },
+    loginAudit: { key: 'id' },
+    apiKeys: { key: 'id', sequence: true },
+    // Attendance QR codes already used, per student (see ../../utils/attendanceQr)
+    usedQrCodes: { key: 'id' },
+    hostelSettings: { type: 'map' },
+    // Bookkeeping such as the schema version (see ../migrations) and id sequences
+    meta: { type: 'map' }
+};
+
+// options go to the backend, e.g. { dataPath } for json or { filename } for sqlite
+const createStorage = (client = config.storage.client, options = {}) => {
+    // Backends are required lazily so the SQLite driver is only needed when selected
+    if (client === 'json') {
+        const JsonFileStorage = require('./json');
+        return new JsonFileStorage(options);
+    }
+
+    if (client === 'sqlite') {
+        const SqliteStorage = require('./sqlite');
+        return new SqliteStorage(options);
+    }
+
+    throw new Error(`Unknown DB_CLIENT: ${client} (expected json or sqlite)`);
+};
+
+module.exports = {
+    COLLECTIONS,
+    createStorage
+};
@@ -0,0 +1,73 @@
+// tests/helpers.js
+// Shared setup for the API tests: every test app runs on a DatabaseManager over its own
+// temporary data directory (see createApp in ../server.js), so tests never touch ./data
+// or each other.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Cheap hashes, and request logs on stdout rather than in LOG_FILE; read when the modules
+// below load the configuration
+process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || '4';
+process.env.LOG_FILE = '';
+
+const createApp = require('../server');
+const { DatabaseManager } = require('../database');
+const { createStorage } = require('../database/storage');
+const { hashPasswordSync } = require('../utils/credentials');
+
+const PASSWORD = 'Passw0rd!';
+
+// An app with an isolated data directory; call cleanup() when done with it
+const createTestApp = () => {
+    const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-management-test-'));
+    const dbManager = new DatabaseManager({
+        storage: createStorage('json', { dataPath }),
+        backupPath: path.join(dataPath, 'backups')
+    });
+    const app = createApp({ dbManager });
+
+    const cleanup = () => {
+        dbManager.close();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    };
+
+    return { app, dbManager, dataPath, cleanup };
+};
+
+// An approved, verified account (a DC on himgiri's first floor unless overridden)
+const createDC = (dbManager, overrides = {}) => dbManager.createDC({
+    name: 'Test DC',
+    email: `dc${Date.now()}${Math.random().toString(36).slice(2, 6)}@example.com`,
+    employeeId: 'EMP001',
+    contact: '',
+    password: hashPasswordSync(PASSWORD),
+    role: 'dc',
+    isActive: true,
+    approvalStatus: 'approved',
+    emailVerified: true,
+    hostelType: 'boys',
+    specificHostel: 'himgiri',
+    floor: 'first',
+    assignedDC: '',
+    profilePic: null,
+    ...overrides
+});
+
+// Log in and return the login response data (token, refreshToken, sessionId, dc)
+const login = async (app, email, password = PASSWORD) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    if (res.status !== 200) {
+        throw new Error(`Login as ${email} failed with ${res.status}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.data;
+};
+
+module.exports = {
+    PASSWORD,
+    request,
+    createTestApp,
+    createDC,
+    login
+};
@@ -0,0 +1,132 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator and similar apps
+const crypto = require('crypto');
+const config = require('../config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = config.auth.totpIssuer;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step or null. Steps at or before lastUsedStep are refused so a
+// code cannot be replayed; window allows for clock drift of that many steps either way.
+const verifyCode = (secret, code, lastUsedStep = -1, window = 1) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const checkStep = step + offset;
+        if (checkStep <= lastUsedStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, checkStep)), Buffer.from(candidate))) {
+            return checkStep;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for authenticator apps (usually rendered as a QR code by the client)
+const provisioningUri = (secret, accountName, issuer = ISSUER) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// One-time recovery codes in the form xxxxx-xxxxx
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+};
+
+// Secrets are stored encrypted (AES-256-GCM) with a key from TOTP_ENCRYPTION_KEY
+const getEncryptionKey = () => {
+    const keyMaterial = config.auth.totpEncryptionKey || config.auth.jwtSecret;
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, authTag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    provisioningUri,
+    generateRecoveryCodes,
+    encryptSecret,
+    decryptSecret
+};
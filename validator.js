@@ -0,0 +1,186 @@
+// utils/validator.js
+// Declarative request validation. A schema lists the expected fields of each request part:
+//   {
+//       params: { date: { type: 'string', format: 'date', required: true } },
+//       body: { present: { type: 'boolean', required: true } }
+//   }
+// Field rules: type (string, integer, number, boolean, array, object), required, nullable,
+// enum, minLength, maxLength, pattern (with an optional message), format (email, date =
+// YYYY-MM-DD, date-time, uuid), min, max, items, minItems, maxItems, properties and
+// additionalProperties. Numbers and booleans sent as strings (path parameters, query
+// strings, form posts) are converted, so handlers receive typed values. Fields a schema
+// does not mention are left alone. `description` and `deprecated` only document a field.
+//
+// The same rules describe response payloads (see ../routes/schemas), which are checked
+// with validateValue: nothing is converted there, and objects with properties accept no
+// other keys unless additionalProperties says so.
+
+const TYPES = {
+    string: { test: value => typeof value === 'string', description: 'a string' },
+    integer: { test: value => Number.isInteger(value), description: 'an integer' },
+    number: { test: value => typeof value === 'number' && Number.isFinite(value), description: 'a number' },
+    boolean: { test: value => typeof value === 'boolean', description: 'true or false' },
+    array: { test: value => Array.isArray(value), description: 'a list' },
+    object: { test: value => typeof value === 'object' && value !== null && !Array.isArray(value), description: 'an object' }
+};
+
+// A real calendar day, so 2024-02-30 is refused
+const isCalendarDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const FORMATS = {
+    email: { test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), description: 'a valid email address' },
+    date: { test: isCalendarDate, description: 'a date in YYYY-MM-DD format' },
+    'date-time': { test: value => !isNaN(Date.parse(value)), description: 'an ISO 8601 date and time' },
+    uuid: {
+        test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+        description: 'a UUID'
+    }
+};
+
+const coerce = (type, value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (type === 'integer' && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+// Check one value against its rule, adding a message per problem. Returns the value,
+// converted to the rule's type where possible.
+const checkField = (rule, rawValue, field, errors, options = { coerce: true }) => {
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+        if (rule.required && !(rawValue === null && rule.nullable)) {
+            errors.push({ field, message: `${field} is required` });
+        }
+        return rawValue;
+    }
+
+    const value = options.coerce ? coerce(rule.type, rawValue) : rawValue;
+    const type = TYPES[rule.type];
+    if (type && !type.test(value)) {
+        errors.push({ field, message: `${field} must be ${type.description}` });
+        return rawValue;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push({ field, message: `${field} must be at least ${rule.minLength} characters long` });
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ field, message: `${field} must be at most ${rule.maxLength} characters long` });
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push({ field, message: `${field} ${rule.message || 'has an invalid format'}` });
+        }
+        if (rule.format && !FORMATS[rule.format].test(value)) {
+            errors.push({ field, message: `${field} must be ${FORMATS[rule.format].description}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field, message: `${field} must be at least ${rule.min}` });
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field, message: `${field} must be at most ${rule.max}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push({ field, message: `${field} must contain at least ${rule.minItems} item(s)` });
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ field, message: `${field} must contain at most ${rule.maxItems} item(s)` });
+        }
+        if (rule.items) {
+            return value.map((item, index) =>
+                checkField({ required: true, ...rule.items }, item, `${field}[${index}]`, errors, options));
+        }
+    }
+
+    if (rule.type === 'object') {
+        // A copy with each property converted; keys the rule does not mention keep their value
+        const result = { ...value };
+        const properties = rule.properties || {};
+        Object.entries(properties).forEach(([key, propertyRule]) => {
+            const property = checkField(propertyRule, value[key], `${field}.${key}`, errors, options);
+            if (property !== undefined) {
+                result[key] = property;
+            }
+        });
+
+        // Keys not listed: refused by default, allowed with true, or checked against a rule (maps)
+        const { additionalProperties = !rule.properties } = rule;
+        Object.keys(value)
+            .filter(key => !Object.prototype.hasOwnProperty.call(properties, key))
+            .forEach(key => {
+                if (additionalProperties === false) {
+                    errors.push({ field: `${field}.${key}`, message: `${field}.${key} is not allowed` });
+                } else if (typeof additionalProperties === 'object') {
+                    result[key] = checkField({ required: true, ...additionalProperties }, value[key], `${field}.${key}`, errors, options);
+                }
+            });
+        return result;
+    }
+
+    return value;
+};
+
+// Validate the parts of a request named in the schema. Every failing field is reported,
+// as { location, field, message }. Valid values replace the request's own.
+const validate = (schema, req) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+        if (!schema[location]) {
+            return;
+        }
+
+        const source = req[location] && typeof req[location] === 'object' ? req[location] : {};
+        Object.entries(schema[location]).forEach(([field, rule]) => {
+            const fieldErrors = [];
+            const value = checkField(rule, source[field], field, fieldErrors);
+            if (fieldErrors.length > 0) {
+                errors.push(...fieldErrors.map(error => ({ location, ...error })));
+            } else if (value !== undefined && req[location]) {
+                req[location][field] = value;
+            }
+        });
+    });
+
+    return errors;
+};
+
+// Check a value that does not come from a request, such as a response payload, without
+// converting it. Returns { field, message } for every problem.
+const validateValue = (rule, value, field = 'value') => {
+    const errors = [];
+    checkField(rule, value, field, errors, { coerce: false });
+    return errors;
+};
+
+module.exports = {
+    FORMATS,
+    isCalendarDate,
+    validate,
+    validateValue
+};
@@ -0,0 +1,57 @@
+// tests/validator.test.js
+// Request values are converted to their declared types at every depth, so handlers can
+// compare them with stored ids.
+const { validate, validateValue } = require('../utils/validator');
+
+describe('validate', () => {
+    const schema = {
+        body: {
+            entries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        studentId: { type: 'integer', required: true },
+                        present: { type: 'boolean' }
+                    }
+                }
+            },
+            settings: {
+                type: 'object',
+                properties: { limit: { type: 'number' } },
+                additionalProperties: { type: 'integer' }
+            }
+        }
+    };
+
+    test('converts values inside objects in arrays', () => {
+        const req = { body: { entries: [{ studentId: '3', present: 'true' }, { studentId: 4 }] } };
+
+        expect(validate(schema, req)).toEqual([]);
+        expect(req.body.entries).toEqual([{ studentId: 3, present: true }, { studentId: 4 }]);
+    });
+
+    test('converts object properties and map entries', () => {
+        const req = { body: { settings: { limit: '2.5', first: '7' } } };
+
+        expect(validate(schema, req)).toEqual([]);
+        expect(req.body.settings).toEqual({ limit: 2.5, first: 7 });
+    });
+
+    test('reports nested fields that cannot be converted and leaves the request alone', () => {
+        const req = { body: { entries: [{ studentId: 'three' }] } };
+
+        expect(validate(schema, req)).toEqual([
+            { location: 'body', field: 'entries[0].studentId', message: 'entries[0].studentId must be an integer' }
+        ]);
+        expect(req.body.entries).toEqual([{ studentId: 'three' }]);
+    });
+});
+
+describe('validateValue', () => {
+    test('does not convert', () => {
+        const rule = { type: 'object', properties: { id: { type: 'integer' } } };
+
+        expect(validateValue(rule, { id: '3' })).toEqual([{ field: 'value.id', message: 'value.id must be an integer' }]);
+    });
+});